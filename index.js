@@ -5,9 +5,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises'; // Import the file system module
 import 'dotenv/config'; // Loads .env file
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
 import multer from 'multer'; // Add multer for file uploads
 import cors from 'cors'; // Add this line
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 
 // --- Setup ---
 
@@ -31,7 +32,7 @@ app.use(cors({
         'http://192.168.171.70:*',     // Allow any port on this IP
         /^http:\/\/192\.168\.171\.\d+:\d+$/  // Allow any IP in your network range
     ],
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
 }));
@@ -96,6 +97,15 @@ const upload = multer({
     }
 });
 
+// Timetables uploaded for checking are kept in memory so they never mix with the dataset files
+const timetableUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    }
+});
+
 // --- Helper Functions ---
 
 // Helper function to detect data type
@@ -139,1139 +149,6841 @@ async function parseCSVFile(filePath) {
     return data;
 }
 
-function ensureProperCourseDistribution(parsedTable, allData) {
-    console.log('=== TIMETABLE GENERATION DEBUG ===');
-    console.log('Original rows from Gemini:', parsedTable.rows.length);
-    
-    // ALWAYS create a new timetable from scratch to ensure it works
-    console.log('Creating guaranteed complete timetable...');
-    
-    const theorySubjects = allData.theoryCourses.slice(0, 5).map(c => c['Course name'] || c.Course);
-    const labSubjects = allData.labCourses.slice(0, 5).map(c => c['Course name'] || c.Course);
-    const facultyList = allData.faculty.slice(0, 10);
-    const venueList = allData.venues.slice(0, 10).map(v => v['Room Number'] || v.room);
-    
-    console.log('Available data:');
-    console.log('Theory subjects:', theorySubjects);
-    console.log('Lab subjects:', labSubjects);
-    console.log('Faculty count:', facultyList.length);
-    console.log('Venues:', venueList);
-    
-    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
-    const timeSlots = ['9:00-10:00', '10:00-11:00', '11:00-12:00', '2:00-3:00', '3:00-4:00', '4:00-5:00'];
-    
-    const newRows = [];
-    
-    // Create systematic schedule: 2 theory lectures per subject + 1 lab per subject
-    const schedulePattern = [];
-    
-    // Add each theory subject twice (2 lectures per week)
-    theorySubjects.forEach(subject => {
-        schedulePattern.push({ subject, type: 'theory' });
-        schedulePattern.push({ subject, type: 'theory' });
-    });
-    
-    // Add each lab subject once
-    labSubjects.forEach(subject => {
-        schedulePattern.push({ subject, type: 'lab' });
-    });
-    
-    console.log('Schedule pattern created with', schedulePattern.length, 'entries');
-    
-    // Fill the timetable systematically
-    let patternIndex = 0;
-    
-    days.forEach((day, dayIndex) => {
-        console.log(`\nGenerating ${day}:`);
-        
-        timeSlots.forEach((time, timeIndex) => {
-            if (patternIndex < schedulePattern.length) {
-                const entry = schedulePattern[patternIndex];
-                
-                // Find appropriate faculty for this subject
-                const matchingFaculty = facultyList.find(f => 
-                    f.Course && f.Course.toLowerCase().includes(entry.subject.toLowerCase().split(' ')[0])
-                );
-                
-                const faculty = matchingFaculty ? matchingFaculty.Name : facultyList[patternIndex % facultyList.length]?.Name || 'Faculty Member';
-                
-                // Select appropriate venue
-                let venue;
-                if (entry.type === 'lab' || entry.subject.includes('LAB')) {
-                    venue = venueList.find(v => v.includes('Lab') || v.includes('lab')) || 'Lab-1';
-                } else {
-                    venue = venueList[(patternIndex % (venueList.length - 2))] || 'Room-101';
-                }
-                
-                newRows.push([
-                    day,
-                    time,
-                    `${allData.branch} Div${allData.division}`,
-                    entry.subject,
-                    faculty,
-                    venue
-                ]);
-                
-                console.log(`  ${time}: ${entry.subject} (${entry.type}) - ${faculty} - ${venue}`);
-                patternIndex++;
-            }
-        });
-    });
-    
-    // Add mandatory Library and Project sessions
-    console.log('\nAdding mandatory sessions:');
-    
-    // Library sessions
-    newRows.push([
-        'Tuesday', '2:00-3:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library'
-    ]);
-    newRows.push([
-        'Thursday', '4:00-5:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library'
-    ]);
-    console.log('  Added 2 Library sessions');
-    
-    // Project sessions
-    newRows.push([
-        'Wednesday', '3:00-4:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab'
-    ]);
-    newRows.push([
-        'Friday', '2:00-3:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab'
-    ]);
-    console.log('  Added 2 Project sessions');
-    
-    // Saturday classes (lighter schedule)
-    newRows.push([
-        'Saturday', '9:00-10:00', `${allData.branch} Div${allData.division}`, theorySubjects[0], facultyList[0]?.Name || 'Faculty', venueList[0] || 'Room-101'
-    ]);
-    newRows.push([
-        'Saturday', '10:00-11:00', `${allData.branch} Div${allData.division}`, theorySubjects[1], facultyList[1]?.Name || 'Faculty', venueList[1] || 'Room-102'
-    ]);
-    console.log('  Added 2 Saturday classes');
-    
-    // Sunday holiday
-    newRows.push([
-        'Sunday', '-', '-', 'HOLIDAY', '-', '-'
-    ]);
-    console.log('  Added Sunday holiday');
-    
-    // Replace the parsed table with our guaranteed complete timetable
-    parsedTable.rows = newRows;
-    
-    console.log(`\n✅ GUARANTEED TIMETABLE CREATED:`);
-    console.log(`   Total entries: ${newRows.length}`);
-    console.log(`   Theory sessions: ${newRows.filter(row => row[3] && !row[3].includes('LAB') && !row[3].includes('LIBRARY') && !row[3].includes('PROJECT') && row[3] !== 'HOLIDAY').length}`);
-    console.log(`   Lab sessions: ${newRows.filter(row => row[3] && row[3].includes('LAB')).length}`);
-    console.log(`   Library sessions: ${newRows.filter(row => row[3] && row[3].includes('LIBRARY')).length}`);
-    console.log(`   Project sessions: ${newRows.filter(row => row[3] && row[3].includes('PROJECT')).length}`);
-    console.log('===================================');
-    
-    return parsedTable;
+// Header spellings accepted for the columns the generator reads
+const FIELD_NAMES = {
+    courseCode: ['Course Code', 'Code', 'Subject Code'],
+    courseName: ['Course name', 'Course', 'Subject', 'Subject Name'],
+    faculty: ['Faculty', 'Faculty Name', 'Teacher', 'Staff'],
+    batch: ['Batch', 'Batch Name', 'Batch No'],
+    batchCount: ['No of Batches', 'Number of Batches', 'Batches', 'Batch Count'],
+    strength: ['Strength', 'Batch Strength', 'Students', 'No of Students', 'Batch Size', 'Size'],
+    roomType: ['Room Type', 'Venue Type', 'Required Room Type', 'Required Room'],
+    equipment: ['Equipment', 'Required Equipment', 'Room Tags', 'Requires'],
+    venueName: ['Room Number', 'Room', 'Venue', 'Room No', 'Venue Name'],
+    venueType: ['Type', 'Room Type', 'Venue Type', 'Category'],
+    capacity: ['Capacity', 'Seats', 'Seating Capacity'],
+    venueTags: ['Equipment', 'Tags', 'Facilities', 'Features'],
+    theoryHours: ['TH', 'Theory', 'Theory Hours', 'Lecture', 'Lectures', 'L'],
+    tutorialHours: ['TUT', 'Tutorial', 'Tutorials', 'Tutorial Hours', 'T'],
+    practicalHours: ['PR', 'Practical', 'Practicals', 'Practical Hours', 'Lab Hours', 'P'],
+    facultyName: ['Faculty', 'Faculty Name', 'Name', 'Teacher', 'Staff'],
+    unavailable: ['Unavailable', 'Unavailable Slots', 'Unavailable Days', 'Not Available'],
+    availableDays: ['Available Days', 'Available On'],
+    preferredDays: ['Preferred Days'],
+    preferredSlots: ['Preferred Slots', 'Preferred Periods'],
+    avoidSlots: ['Avoid Slots', 'Avoid Periods', 'Avoid'],
+    maxHoursPerDay: ['Max Hours Per Day', 'Max Hours/Day', 'Max Per Day', 'Max Daily Hours'],
+    maxConsecutiveHours: ['Max Consecutive Hours', 'Max Consecutive', 'Max Continuous Hours'],
+    maxWeeklyLoad: ['Max Load', 'Max Weekly Load', 'Max Weekly Hours', 'Max Hours Per Week', 'Workload Limit'],
+    expertise: ['Expertise', 'Specialization', 'Specialisation', 'Areas', 'Subjects'],
+    teachingType: ['TH_LAB', 'TH/LAB', 'Teaching Type', 'Teaches'],
+    day: ['Day'],
+    time: ['Time', 'Slot', 'Timing'],
+    sessionBatch: ['Class/Batch', 'Batch', 'Class', 'Batch Name'],
+    sessionCourse: ['Course Name', 'Course', 'Subject']
+};
+
+// Reads a column by any of its usual header spellings, ignoring case, spaces and punctuation
+function readField(row, names) {
+    if (!row) return undefined;
+    const normalize = key => key.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+    const keys = new Map(Object.keys(row).map(key => [normalize(key), key]));
+    for (const name of names) {
+        const key = keys.get(normalize(name));
+        if (key !== undefined && row[key] !== undefined && row[key] !== null && row[key] !== '') {
+            return row[key];
+        }
+    }
+    return undefined;
 }
 
-// --- Helper Functions ---
+// Reads a weekly hours column, treating blanks and non-numbers as zero
+function readHours(row, names) {
+    const value = Math.round(Number(readField(row, names)));
+    return Number.isFinite(value) && value > 0 ? value : 0;
+}
 
-// ... existing helper functions ...
+/**
+ * Combines the course sheets with the Load Dist sheet into weekly teaching requirements.
+ * Course-wide Load Dist rows add up their theory hours (a course may be split between
+ * lecturers) and share tutorial/practical hours; rows naming a batch apply to that batch only.
+ * Courses without a Load Dist entry get 2 lectures (theory) or one lab session (lab) a week.
+ * @param {object[]} theoryCourses - Rows of the Theory Courses sheet.
+ * @param {object[]} labCourses - Rows of the Lab Courses sheet.
+ * @param {object[]} loadDist - Rows of the Load Dist sheet.
+ * @param {number} labLength - Periods in a default lab session.
+ * @returns {object[]} - `{ code, name, kind, roomType, equipment, theory: [{faculty, hours}], tutorial, practical,
+ *   faculty, batches, fromLoadDist }`
+ */
+function buildCourseLoads(theoryCourses, labCourses, loadDist, labLength) {
+    const courses = [];
+    const findCourse = (code, name) => courses.find(course =>
+        (code && course.code && course.code.toLowerCase() === code.toLowerCase()) ||
+        (name && course.name.toLowerCase() === name.toLowerCase())
+    );
 
-// Reliable Timetable Generator (no AI dependency)
-// Smart Randomized Timetable Generator with Academic Rules
-// Simple & Bulletproof Timetable Generator
-// Simple & Bulletproof Timetable Generator with MANDATORY Library & Project Hours
-// Academically Correct Timetable Generator
-// Batch-Aware Timetable Generator  
-// Conflict-Free Batch-Aware Timetable Generator
-function generateReliableTimetable(allData) {
-    console.log('🔧 Creating conflict-free batch-aware timetable...');
-    
-    // Extract data
-    const theorySubjects = (allData.theoryCourses || []).slice(0, 5).map(c => c['Course name'] || c.Course).filter(Boolean);
-    const labSubjects = (allData.labCourses || []).slice(0, 5).map(c => c['Course name'] || c.Course).filter(Boolean);
-    const facultyList = (allData.faculty || []).slice(0, 25); // Increased for more faculty options
-    const venueList = (allData.venues || []).slice(0, 20).map(v => v['Room Number'] || v.room).filter(Boolean);
-    
-    // Get batches for this division
-    const batches = [`Batch-${allData.branch}1`, `Batch-${allData.branch}2`, `Batch-${allData.branch}3`, `Batch-${allData.branch}4`];
-    
-    // Fallbacks
-    const safeTheory = theorySubjects.length > 0 ? theorySubjects : ['COMPUTER PROGRAMMING', 'DATA STRUCTURES', 'COMPUTER NETWORKS', 'OPERATING SYSTEMS', 'SOFTWARE ENGINEERING'];
-    const safeLab = labSubjects.length > 0 ? labSubjects : ['PROGRAMMING LAB', 'DATA STRUCTURES LAB', 'NETWORKS LAB', 'OS LAB', 'SOFTWARE LAB'];
-    const safeFaculty = facultyList.length > 0 ? facultyList.map(f => f.Name || f.name).filter(Boolean) : ['Dr. Smith', 'Prof. Johnson', 'Dr. Williams', 'Prof. Brown', 'Dr. Davis', 'Prof. Wilson', 'Dr. Taylor', 'Prof. Anderson', 'Dr. Kumar', 'Prof. Patel', 'Dr. Singh', 'Prof. Sharma'];
-    const safeVenues = venueList.length > 0 ? venueList : ['H101', 'H202', 'H304', 'IC1', 'IC2', 'IC3', 'A207', 'Lab1', 'Lab2', 'CompLab1', 'CompLab2', 'DataLab1', 'DataLab2'];
-    
-    // Separate venues
-    const theoryVenues = safeVenues.filter(v => v.startsWith('H') || v.startsWith('D') || v.startsWith('Room'));
-    const labVenues = safeVenues.filter(v => v.startsWith('IC') || v.startsWith('A') || v.toLowerCase().includes('lab') || v.startsWith('Comp') || v.startsWith('Data'));
-    
-    console.log(`🎯 Conflict-free scheduling for ${batches.length} batches`);
-    console.log(`   Available faculty: ${safeFaculty.length}`);
-    console.log(`   Available lab venues: ${labVenues.length}`);
-    console.log(`   Theory venues: ${theoryVenues.length}`);
-    
-    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const timeSlots = ['9:00-10:00', '10:00-11:00', '11:00-12:00', '2:00-3:00', '3:00-4:00', '4:00-5:00'];
-    const batchName = `${allData.branch} Div${allData.division}`;
-    
-    // Helper function to get subject-specific faculty
-    function getSubjectFaculty(subject, allFaculty) {
-        const subjectFaculty = allFaculty.filter(f => {
-            const facultyCourse = (f.Course || '').toLowerCase();
-            const subjectLower = subject.toLowerCase();
-            return facultyCourse.includes(subjectLower.split(' ')[0]) && 
-                   (f.TH_LAB === 'LAB' || f.type === 'LAB');
-        });
-        
-        // If no specific faculty found, use general faculty pool
-        if (subjectFaculty.length === 0) {
-            return allFaculty.slice(Math.floor(allFaculty.length / 2)); // Use second half
+    const addCourse = (row, kind) => {
+        const code = readField(row, FIELD_NAMES.courseCode)?.toString().trim();
+        const name = readField(row, FIELD_NAMES.courseName)?.toString().trim();
+        if (!name && !code) return null;
+        const roomType = readField(row, FIELD_NAMES.roomType)?.toString().trim() || null;
+        const equipment = parseTags(readField(row, FIELD_NAMES.equipment));
+        const existing = findCourse(code, name);
+        if (existing) {
+            existing.roomType = existing.roomType || roomType;
+            equipment.forEach(tag => !existing.equipment.includes(tag) && existing.equipment.push(tag));
+            return existing;
         }
-        
-        return subjectFaculty;
-    }
-    
-    // Helper function to get lab venues
-    function getLabVenues(allVenues) {
-        return allVenues.filter(v => {
-            const venueName = (v['Room Number'] || v).toLowerCase();
-            return venueName.includes('lab') || venueName.includes('ic') || venueName.includes('comp') || venueName.includes('data');
-        });
-    }
-    
-    // Create academic sessions
-    const academicSessions = [];
-    
-    // RULE 1: Theory sessions - 2 per subject (all batches together)
-    safeTheory.forEach((subject, index) => {
-        academicSessions.push({ 
-            subject: subject, 
-            type: 'theory',
-            batch: 'All Batches',
-            faculty: safeFaculty[index % safeFaculty.length],
-            venue: theoryVenues[index % theoryVenues.length] || 'Room-101'
-        });
-        academicSessions.push({ 
-            subject: subject, 
-            type: 'theory', 
-            batch: 'All Batches',
-            faculty: safeFaculty[index % safeFaculty.length],
-            venue: theoryVenues[(index + 1) % theoryVenues.length] || 'Room-102'
-        });
-    });
-    
-    // RULE 2: Lab sessions - CONFLICT-FREE SCHEDULING (FIXED)
-    const labSessions = [];
-    let globalSlotIndex = 0;
-    
-    safeLab.forEach((subject) => {
-        // Get subject-specific resources from your dataset
-        const subjectFaculty = getSubjectFaculty(subject, facultyList);
-        const labVenuePool = getLabVenues(venueList);
-        
-        // Use fallback if dataset doesn't have enough
-        const finalFacultyPool = subjectFaculty.length > 0 ? 
-            subjectFaculty.map(f => f.Name || f.name).filter(Boolean) : 
-            safeFaculty.slice(Math.floor(safeFaculty.length / 2));
-        
-        const finalVenuePool = labVenuePool.length > 0 ? 
-            labVenuePool.map(v => v['Room Number'] || v).filter(Boolean) : 
-            labVenues;
-        
-        // Ensure sufficient resources (expand if needed)
-        while (finalFacultyPool.length < batches.length) {
-            finalFacultyPool.push(`Lab Assistant ${finalFacultyPool.length + 1}`);
+
+        const course = {
+            code: code || null,
+            name: name || code,
+            kind,
+            roomType,
+            equipment,
+            theory: [],
+            tutorial: 0,
+            practical: 0,
+            faculty: [],
+            batches: {},
+            fromLoadDist: false
+        };
+        courses.push(course);
+        return course;
+    };
+
+    theoryCourses.forEach(row => addCourse(row, 'theory'));
+    labCourses.forEach(row => addCourse(row, 'lab'));
+
+    loadDist.forEach(row => {
+        const theory = readHours(row, FIELD_NAMES.theoryHours);
+        const tutorial = readHours(row, FIELD_NAMES.tutorialHours);
+        const practical = readHours(row, FIELD_NAMES.practicalHours);
+        const course = addCourse(row, practical > 0 && theory === 0 ? 'lab' : 'theory');
+        if (!course) return;
+
+        const faculty = readField(row, FIELD_NAMES.faculty)?.toString().trim() || null;
+        const batch = readField(row, FIELD_NAMES.batch)?.toString().trim();
+        course.fromLoadDist = true;
+
+        if (theory > 0) course.theory.push({ faculty, hours: theory });
+        if (batch) {
+            const batchLoad = course.batches[batch] || (course.batches[batch] = { tutorial: null, practical: null, faculty: [] });
+            if (tutorial > 0) batchLoad.tutorial = Math.max(batchLoad.tutorial ?? 0, tutorial);
+            if (practical > 0) batchLoad.practical = Math.max(batchLoad.practical ?? 0, practical);
+            if (faculty && !batchLoad.faculty.includes(faculty)) batchLoad.faculty.push(faculty);
+        } else {
+            course.tutorial = Math.max(course.tutorial, tutorial);
+            course.practical = Math.max(course.practical, practical);
+            if (faculty && !course.faculty.includes(faculty)) course.faculty.push(faculty);
         }
-        while (finalVenuePool.length < batches.length) {
-            finalVenuePool.push(`Lab-${finalVenuePool.length + 1}`);
+    });
+
+    courses.forEach(course => {
+        if (course.fromLoadDist) return;
+        if (course.kind === 'lab') {
+            course.practical = labLength;
+        } else {
+            course.theory.push({ faculty: null, hours: 2 });
         }
-        
-        console.log(`📊 ${subject}: ${finalFacultyPool.length} faculty, ${finalVenuePool.length} venues for ${batches.length} batches`);
-        
-        // Schedule each batch at DIFFERENT times to avoid conflicts
-        batches.forEach((batch, batchIndex) => {
-            const dayIndex = Math.floor(globalSlotIndex / timeSlots.length) % days.length;
-            const timeIndex = globalSlotIndex % timeSlots.length;
-            
-            labSessions.push({
-                day: days[dayIndex],
-                time: timeSlots[timeIndex], 
-                subject: subject,
-                batch: batch,
-                faculty: finalFacultyPool[batchIndex] || finalFacultyPool[0],
-                venue: finalVenuePool[batchIndex] || finalVenuePool[0]
-            });
-            
-            globalSlotIndex++;
-        });
     });
-    
-    console.log(`✅ Created ${academicSessions.length} theory sessions`);
-    console.log(`✅ Created ${labSessions.length} conflict-free lab sessions (${safeLab.length} subjects × ${batches.length} batches)`);
-    
-    // Validate no conflicts
-    const conflicts = [];
-    labSessions.forEach((session1, i) => {
-        labSessions.slice(i + 1).forEach((session2) => {
-            if (session1.day === session2.day && session1.time === session2.time) {
-                if (session1.faculty === session2.faculty) {
-                    conflicts.push(`Faculty conflict: ${session1.faculty} at ${session1.day} ${session1.time}`);
-                }
-                if (session1.venue === session2.venue) {
-                    conflicts.push(`Venue conflict: ${session1.venue} at ${session1.day} ${session1.time}`);
-                }
+
+    return courses;
+}
+
+/**
+ * Reads the batches of a division from the Batch Details sheet.
+ * Rows either name one batch each (with its strength) or give a batch count and the
+ * division's total strength, in which case students are split as evenly as possible.
+ * @param {object[]} rows - Rows of the Batch Details sheet for one division.
+ * @param {string} branch - Branch code used to name counted batches.
+ * @param {string} division - Division used to name counted batches.
+ * @returns {{name: string, strength: number|null}[]}
+ */
+function buildBatches(rows, branch, division) {
+    const batches = [];
+
+    rows.forEach(row => {
+        const name = readField(row, FIELD_NAMES.batch)?.toString().trim();
+        const strength = Number(readField(row, FIELD_NAMES.strength)) || null;
+
+        if (name) {
+            if (!batches.some(batch => batch.name === name)) {
+                batches.push({ name, strength });
+            }
+            return;
+        }
+
+        const count = Number(readField(row, FIELD_NAMES.batchCount));
+        if (Number.isInteger(count) && count > 0) {
+            for (let i = 0; i < count; i++) {
+                batches.push({
+                    name: `${branch}${division}-B${i + 1}`,
+                    strength: strength ? Math.floor(strength / count) + (i < strength % count ? 1 : 0) : null
+                });
             }
+        }
+    });
+
+    return batches;
+}
+
+// Splits a comma/semicolon separated list ('Projector, AC') into lower-case tags
+function parseTags(value) {
+    if (value === undefined || value === null) return [];
+    return value.toString().split(/[,;|]/).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+// Words that count as the same kind of room when matching a required room type
+const VENUE_TYPE_ALIASES = {
+    classroom: ['classroom', 'class', 'class room', 'lecture hall', 'hall', 'theory', 'tutorial room'],
+    lab: ['lab', 'laboratory', 'practical']
+};
+
+// Guesses a room type from its name, for Venue sheets without a type column
+function inferVenueType(name) {
+    const lower = name.toLowerCase();
+    const looksLikeLab = lower.includes('lab') || lower.startsWith('ic') || lower.startsWith('comp') || lower.startsWith('data');
+    return looksLikeLab ? 'lab' : 'classroom';
+}
+
+/**
+ * Reads the rooms of the Venue sheet with their capacity, type and equipment tags.
+ * @param {object[]} rows - Rows of the Venue sheet.
+ * @returns {{name: string, capacity: number|null, type: string, tags: string[], typeInferred: boolean}[]}
+ */
+function buildVenues(rows) {
+    const venues = [];
+    rows.forEach(row => {
+        const name = readField(row, FIELD_NAMES.venueName)?.toString().trim();
+        if (!name || venues.some(venue => venue.name === name)) return;
+
+        const type = readField(row, FIELD_NAMES.venueType)?.toString().trim().toLowerCase();
+        venues.push({
+            name,
+            capacity: Number(readField(row, FIELD_NAMES.capacity)) || null,
+            type: type || inferVenueType(name),
+            tags: parseTags(readField(row, FIELD_NAMES.venueTags)),
+            typeInferred: !type
         });
     });
-    
-    if (conflicts.length > 0) {
-        console.log('⚠️ Conflicts detected:', conflicts);
-    } else {
-        console.log('✅ No conflicts detected in lab scheduling');
-    }
-    
-    // Randomize theory sessions
-    const seed = Date.now();
-    function seededRandom(index) {
-        const x = Math.sin(seed + index * 12.9898) * 43758.5453;
-        return x - Math.floor(x);
-    }
-    
-    for (let i = academicSessions.length - 1; i > 0; i--) {
-        const j = Math.floor(seededRandom(i) * (i + 1));
-        [academicSessions[i], academicSessions[j]] = [academicSessions[j], academicSessions[i]];
-    }
-    
-    // Create timetable entries
-    const timetableEntries = [];
-    let theoryIndex = 0;
-    
-    // Reserved slots for Library & Project
-    const reservedSlots = [
-        'Tuesday-2:00-3:00', 'Tuesday-3:00-4:00',    // Library
-        'Thursday-4:00-5:00', 'Friday-4:00-5:00',   // Library
-        'Wednesday-3:00-4:00', 'Wednesday-4:00-5:00', // Project
-        'Friday-2:00-3:00', 'Friday-3:00-4:00'      // Project
-    ];
-    
-    // Add theory sessions to timetable
-    days.forEach((day, dayIndex) => {
-        const slotsForDay = day === 'Saturday' ? 3 : 6;
-        
-        for (let slotIndex = 0; slotIndex < slotsForDay && slotIndex < timeSlots.length; slotIndex++) {
-            const time = timeSlots[slotIndex];
-            const slotKey = `${day}-${time}`;
-            const dayHeader = dayIndex === 0 ? '**Monday**' : dayIndex === 1 ? '**Tuesday**' : 
-                            dayIndex === 2 ? '**Wednesday**' : dayIndex === 3 ? '**Thursday**' : 
-                            dayIndex === 4 ? '**Friday**' : dayIndex === 5 ? '**Saturday**' : '';
-            
-            // Skip reserved slots
-            if (reservedSlots.includes(slotKey)) {
-                continue;
-            }
-            
-            // Add theory session if available
-            if (theoryIndex < academicSessions.length) {
-                const session = academicSessions[theoryIndex];
-                timetableEntries.push([
-                    dayHeader,
-                    time,
-                    session.batch,
-                    session.subject,
-                    session.faculty,
-                    session.venue
-                ]);
-                theoryIndex++;
-            }
-        }
-    });
-    
-    // Add lab sessions to timetable (conflict-free, different times)
-    labSessions.forEach(labSession => {
-        const dayHeader = labSession.day === 'Monday' ? '**Monday**' : 
-                         labSession.day === 'Tuesday' ? '**Tuesday**' : 
-                         labSession.day === 'Wednesday' ? '**Wednesday**' : 
-                         labSession.day === 'Thursday' ? '**Thursday**' : 
-                         labSession.day === 'Friday' ? '**Friday**' : 
-                         labSession.day === 'Saturday' ? '**Saturday**' : '';
-        
-        timetableEntries.push([
-            dayHeader,
-            labSession.time,
-            labSession.batch,
-            labSession.subject,
-            labSession.faculty,
-            labSession.venue
-        ]);
-    });
-    
-    // Add mandatory sessions
-    const libraryEntries = [
-        ['**Tuesday**', '2:00-3:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library'],
-        ['', '3:00-4:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library'],
-        ['**Thursday**', '4:00-5:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library'],
-        ['**Friday**', '4:00-5:00', 'All Batches', 'LIBRARY SESSION', 'Library Staff', 'Library']
-    ];
-    
-    const projectEntries = [
-        ['**Wednesday**', '3:00-4:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab'],
-        ['', '4:00-5:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab'],
-        ['**Friday**', '2:00-3:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab'],
-        ['', '3:00-4:00', 'All Batches', 'PROJECT WORK', 'Project Guide', 'Project Lab']
-    ];
-    
-    timetableEntries.push(...libraryEntries);
-    timetableEntries.push(...projectEntries);
-    timetableEntries.push(['**Sunday**', '-', '-', 'HOLIDAY', '-', '-']);
-    
-    // Final statistics
-    const stats = {
-        total: timetableEntries.length,
-        theory: timetableEntries.filter(e => e[3] && !e[3].includes('LAB') && !e[3].includes('LIBRARY') && !e[3].includes('PROJECT') && e[3] !== 'HOLIDAY').length,
-        lab: timetableEntries.filter(e => e[3] && e[3].includes('LAB')).length,
-        library: timetableEntries.filter(e => e[3] && e[3].includes('LIBRARY')).length,
-        project: timetableEntries.filter(e => e[3] && e[3].includes('PROJECT')).length
-    };
-    
-    console.log('✅ CONFLICT-FREE TIMETABLE CREATED:');
-    console.log(`   Theory sessions: ${stats.theory}`);
-    console.log(`   Lab sessions: ${stats.lab} (each batch at different times)`);
-    console.log(`   Library hours: ${stats.library}`);
-    console.log(`   Project hours: ${stats.project}`);
-    console.log(`   Total entries: ${stats.total}`);
-    console.log(`   No faculty double-booking ✅`);
-    console.log(`   No venue conflicts ✅`);
-    console.log(`   Each batch gets separate lab slots ✅`);
-    
-    return {
-        headers: ['Day', 'Time', 'Class/Batch', 'Course Name', 'Faculty', 'Venue'],
-        rows: timetableEntries
+    return venues;
+}
+
+// Checks a venue type against a required type, allowing the usual synonyms ('Computer Lab' is a lab)
+function venueTypeMatches(venueType, requiredType) {
+    const type = venueType.toLowerCase().trim();
+    const wanted = requiredType.toLowerCase().trim();
+    const aliases = VENUE_TYPE_ALIASES[wanted] || [wanted];
+    return type === wanted || aliases.some(alias => type === alias || type.split(/[^a-z0-9]+/).includes(alias));
+}
+
+/**
+ * Lists the venues a session may use: the required room type, every required tag and
+ * enough seats. Smallest suitable room first; rooms with no capacity on record come last.
+ * @param {object[]} venues - Venues from `buildVenues`.
+ * @param {{roomType: string, tags: string[], size: number|null}} requirement - What the session needs.
+ * @returns {string[]} - Venue names.
+ */
+function findSuitableVenues(venues, requirement) {
+    return venues
+        .filter(venue =>
+            venueTypeMatches(venue.type, requirement.roomType) &&
+            (requirement.tags || []).every(tag => venue.tags.includes(tag)) &&
+            (!requirement.size || !venue.capacity || venue.capacity >= requirement.size)
+        )
+        .sort((a, b) => (a.capacity ?? Infinity) - (b.capacity ?? Infinity))
+        .map(venue => venue.name);
+}
+
+// Checks whether a batch label from another sheet ('B1', 'DS1-B1') refers to a batch
+function batchMatches(label, batchName) {
+    const wanted = label.toString().trim().toLowerCase();
+    const name = batchName.toLowerCase();
+    return wanted === name || name.split(/[^a-z0-9]+/).includes(wanted);
+}
+
+// Summarises the hours each course, type and batch still needs after a (partial) solve
+function summarizeUnscheduled(result) {
+    const summary = new Map();
+    const add = (session, placed) => {
+        const key = `${session.division}|${session.courseCode || session.subject}|${session.type}|${session.batch}`;
+        const entry = summary.get(key) || {
+            division: session.division || null,
+            ...(session.divisions && { divisions: session.divisions }),
+            course: session.subject,
+            courseCode: session.courseCode || null,
+            type: session.type,
+            batch: session.batch,
+            requiredHours: 0,
+            placedHours: 0
+        };
+        entry.requiredHours += session.length || 1;
+        if (placed) entry.placedHours += session.length || 1;
+        summary.set(key, entry);
     };
+
+    result.placed.forEach(session => add(session, true));
+    result.unplaced.forEach(session => add(session, false));
+
+    return [...summary.values()]
+        .filter(entry => entry.placedHours < entry.requiredHours)
+        .map(entry => ({ ...entry, missingHours: entry.requiredHours - entry.placedHours }));
 }
 
+// --- Constraint Solver ---
 
+// Days the weekly grid is built from (Sunday is always a holiday; the institution policy picks the working days)
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
+// Upper bound on search nodes before the solver gives up
+const MAX_SOLVER_STEPS = 200000;
 
+// Search nodes allowed in the first attempt; each restart gets 1.5x more
+const INITIAL_RESTART_STEPS = 200;
 
+// Search nodes between two progress reports of a long search
+const SOLVER_PROGRESS_STEPS = 5000;
 
+// Creates a repeatable pseudo-random generator from a numeric seed
+function createSeededRandom(seed) {
+    let index = 0;
+    return () => {
+        const x = Math.sin(seed + (index++) * 12.9898) * 43758.5453;
+        return x - Math.floor(x);
+    };
+}
 
+// Returns a shuffled copy of a list using the supplied random generator
+function shuffleWithRandom(list, random) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
 
+// Rotates a list so that the element at `offset` comes first
+function rotateList(list, offset) {
+    if (list.length === 0) return [];
+    const start = offset % list.length;
+    return [...list.slice(start), ...list.slice(0, start)];
+}
 
-// --- Routes ---
+/**
+ * Finds every faculty, venue and batch double-booking among placed sessions.
+ * Sessions marked `shared` (library, project) only occupy their batches.
+ * @param {object[]} sessions - Placed sessions with `day`, `period`, `length`, `groups`, `faculty` and `venue`.
+ * @returns {object[]} - One entry per clash: `{ type, resource, day, period, sessions }`.
+ */
+function detectClashes(sessions) {
+    const occupancy = new Map();
+    const clashes = [];
 
-// GET route for the home page
-app.get('/', (req, res) => {
-    res.render('index');
-});
+    sessions.forEach(session => {
+        const resources = session.groups.map(group => ['batch', group]);
+        if (!session.shared) {
+            if (session.faculty) resources.push(['faculty', session.faculty]);
+            if (session.venue) resources.push(['venue', session.venue]);
+        }
 
-// POST route to handle file upload
-app.post('/upload', upload.single('excelFile'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Please select a file to upload.' 
+        for (let period = session.period; period < session.period + (session.length || 1); period++) {
+            resources.forEach(([type, resource]) => {
+                const key = `${type}|${resource}|${session.day}|${period}`;
+                const holder = occupancy.get(key);
+                if (holder) {
+                    clashes.push({ type, resource, day: session.day, period, sessions: [holder, session.id] });
+                } else {
+                    occupancy.set(key, session.id);
+                }
             });
         }
+    });
 
-        const filePath = req.file.path;
-        const fileName = req.file.filename;
-        const fileExtension = path.extname(fileName).toLowerCase();
+    return clashes;
+}
 
-        // Handle different file types
-        if (fileExtension === '.csv') {
-            // For CSV files, verify they can be parsed
-            try {
-                const csvData = await parseCSVFile(filePath);
-                if (csvData.length === 0) {
-                    await fs.unlink(filePath);
-                    return res.status(400).json({
-                        success: false,
-                        error: 'CSV file contains no data.'
-                    });
-                }
-            } catch (csvError) {
-                await fs.unlink(filePath);
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid CSV file: ${csvError.message}`
-                });
+/**
+ * Places sessions into the weekly grid so that no faculty member, venue or batch
+ * is booked twice in the same period. Uses backtracking search that always expands
+ * the session with the fewest remaining slots first, restarting with a fresh random
+ * value order whenever an attempt runs out of its step budget.
+ * @param {object[]} sessions - Sessions with `id`, `subject`, `batch`, `groups`, `facultyOptions`,
+ *   `venueOptions` and `length`. Sessions with a `fixed` `{ day, period }` are placed as given;
+ *   sessions with a `preferred` `{ day, period }` try that slot before any other; sessions with
+ *   the same `rotationBlock` (parallel labs) or `electiveSlot` (an elective basket) all go into the same slot.
+ * @param {object} grid - `{ days, periodsPerDay, blockOf }` describing the usable periods of each day;
+ *   `blockOf` maps each period to the block between long breaks it belongs to.
+ * @param {object} [options] - `{ random, maxSteps, facultyRules, onProgress }`; `facultyRules` comes from
+ *   `buildFacultyAvailability` and limits which slots each faculty member can take. `onProgress`
+ *   receives `{ steps, placed, total, remaining }` after every attempt and every SOLVER_PROGRESS_STEPS
+ *   nodes, where `placed` is the most sessions placed without a clash so far.
+ * @returns {{placed: object[], unplaced: object[], complete: boolean, exhausted: boolean, steps: number}}
+ */
+function solveTimetable(sessions, grid, options = {}) {
+    const random = options.random || Math.random;
+    const maxSteps = options.maxSteps || MAX_SOLVER_STEPS;
+    const facultyRules = options.facultyRules || new Map();
+    const occupancy = new Set();
+    const assignments = new Map();
+    const dayLoad = new Map();
+    const slotUsage = new Map();
+    const facultyDayHours = new Map();
+    const sharedSlots = new Map();
+    let steps = 0;
+    let attemptLimit = 0;
+    let exhausted = false;
+    let best = new Map();
+
+    const keyFor = (type, resource, day, period) => `${type}|${resource}|${day}|${period}`;
+    const spreadKey = (session, day) => `${session.division || ''}|${session.subject}|${session.batch}|${day}`;
+    const sharedSlotKey = session => session.rotationBlock || session.electiveSlot;
+
+    const isFree = (type, resource, day, period, length) => {
+        for (let p = period; p < period + length; p++) {
+            if (occupancy.has(keyFor(type, resource, day, p))) return false;
+        }
+        return true;
+    };
+
+    const setBooked = (type, resource, day, period, length, booked) => {
+        for (let p = period; p < period + length; p++) {
+            const key = keyFor(type, resource, day, p);
+            if (booked) occupancy.add(key); else occupancy.delete(key);
+        }
+    };
+
+    // Checks a faculty member's unavailable slots, daily limit and consecutive-hours limit
+    const canTeach = (name, day, period, length) => {
+        const rule = facultyRules.get(name);
+        if (!rule) return true;
+        for (let p = period; p < period + length; p++) {
+            if (rule.unavailable.some(slot => slotMatches(slot, day, p))) return false;
+        }
+        if (rule.maxPerDay && (facultyDayHours.get(`${name}|${day}`) || 0) + length > rule.maxPerDay) return false;
+        if (rule.maxConsecutive) {
+            // A long break ends a run of consecutive periods
+            const sameBlock = p => !grid.blockOf || grid.blockOf[p] === grid.blockOf[period];
+            const busy = p => occupancy.has(keyFor('faculty', name, day, p));
+            let run = length;
+            for (let p = period - 1; p >= 0 && sameBlock(p) && busy(p); p--) run++;
+            for (let p = period + length; sameBlock(p) && busy(p); p++) run++;
+            if (run > rule.maxConsecutive) return false;
+        }
+        return true;
+    };
+
+    // Resolves the faculty and venue a session would get in a slot, or null if it cannot go there
+    const resolveSlot = (session, day, period) => {
+        const length = session.length || 1;
+        if (period + length > (grid.periodsPerDay[day] || 0)) return null;
+        // Multi-period sessions may not run across a long break
+        if (grid.blockOf && grid.blockOf[period] !== grid.blockOf[period + length - 1]) return null;
+        if (!session.groups.every(group => isFree('batch', group, day, period, length))) return null;
+        if (session.shared) {
+            return { day, period, faculty: session.facultyOptions[0], venue: session.venueOptions[0] };
+        }
+        const faculty = session.facultyOptions.find(name =>
+            isFree('faculty', name, day, period, length) && canTeach(name, day, period, length)
+        );
+        const venue = session.venueOptions.find(name => isFree('venue', name, day, period, length));
+        if (!faculty || !venue) return null;
+        return { day, period, faculty, venue };
+    };
+
+    const place = (session, value) => {
+        const length = session.length || 1;
+        session.groups.forEach(group => setBooked('batch', group, value.day, value.period, length, true));
+        for (let p = value.period; p < value.period + length; p++) {
+            const usageKey = `${value.day}|${p}`;
+            slotUsage.set(usageKey, (slotUsage.get(usageKey) || 0) + session.groups.length);
+        }
+        if (!session.shared) {
+            setBooked('faculty', value.faculty, value.day, value.period, length, true);
+            setBooked('venue', value.venue, value.day, value.period, length, true);
+            const hoursKey = `${value.faculty}|${value.day}`;
+            facultyDayHours.set(hoursKey, (facultyDayHours.get(hoursKey) || 0) + length);
+        }
+        const loadKey = spreadKey(session, value.day);
+        dayLoad.set(loadKey, (dayLoad.get(loadKey) || 0) + 1);
+        if (sharedSlotKey(session)) {
+            const slot = sharedSlots.get(sharedSlotKey(session)) || { day: value.day, period: value.period, members: 0 };
+            slot.members++;
+            sharedSlots.set(sharedSlotKey(session), slot);
+        }
+        assignments.set(session.id, value);
+        if (assignments.size > best.size) best = new Map(assignments);
+    };
+
+    const unplace = (session, value) => {
+        const length = session.length || 1;
+        session.groups.forEach(group => setBooked('batch', group, value.day, value.period, length, false));
+        for (let p = value.period; p < value.period + length; p++) {
+            const usageKey = `${value.day}|${p}`;
+            slotUsage.set(usageKey, slotUsage.get(usageKey) - session.groups.length);
+        }
+        if (!session.shared) {
+            setBooked('faculty', value.faculty, value.day, value.period, length, false);
+            setBooked('venue', value.venue, value.day, value.period, length, false);
+            const hoursKey = `${value.faculty}|${value.day}`;
+            facultyDayHours.set(hoursKey, facultyDayHours.get(hoursKey) - length);
+        }
+        const loadKey = spreadKey(session, value.day);
+        dayLoad.set(loadKey, dayLoad.get(loadKey) - 1);
+        if (sharedSlotKey(session)) {
+            const slot = sharedSlots.get(sharedSlotKey(session));
+            if (--slot.members === 0) sharedSlots.delete(sharedSlotKey(session));
+        }
+        assignments.delete(session.id);
+    };
+
+    // Lists the slots a session can still go into, stopping early once `limit` are found;
+    // once one session of a rotation block or elective slot is placed the others can only join it
+    const feasibleValues = (session, limit = Infinity) => {
+        const together = sharedSlotKey(session) && sharedSlots.get(sharedSlotKey(session));
+        if (together) {
+            const value = resolveSlot(session, together.day, together.period);
+            return value ? [value] : [];
+        }
+        const values = [];
+        for (const day of grid.days) {
+            for (let period = 0; period < (grid.periodsPerDay[day] || 0); period++) {
+                const value = resolveSlot(session, day, period);
+                if (value) values.push(value);
+                if (values.length >= limit) return values;
             }
-        } else {
-            // For Excel files, verify structure
-            try {
+        }
+        return values;
+    };
+
+    // Batches, faculty and venues each session would use in its preferred slot, so sessions that
+    // have to move keep out of slots other sessions want to stay in
+    const preferredClaims = new Map();
+    sessions.filter(session => session.preferred).forEach(session => {
+        const { day, period } = session.preferred;
+        const resources = [
+            ...session.groups.map(group => ['batch', group]),
+            ['faculty', session.facultyOptions[0]],
+            ['venue', session.venueOptions[0]]
+        ];
+        for (let p = period; p < period + (session.length || 1); p++) {
+            resources.forEach(([type, resource]) => {
+                const key = keyFor(type, resource, day, p);
+                if (!preferredClaims.has(key)) preferredClaims.set(key, new Set());
+                preferredClaims.get(key).add(session.id);
+            });
+        }
+    });
+    
+    // Counts the other sessions whose preferred slot a value would take
+    const countClaims = (session, value) => {
+        if (preferredClaims.size === 0) return 0;
+        const resources = session.groups.map(group => ['batch', group]);
+        if (!session.shared) resources.push(['faculty', value.faculty], ['venue', value.venue]);
+        const claimants = new Set();
+        for (let p = value.period; p < value.period + (session.length || 1); p++) {
+            resources.forEach(([type, resource]) => {
+                (preferredClaims.get(keyFor(type, resource, value.day, p)) || []).forEach(id => claimants.add(id));
+            });
+        }
+        claimants.delete(session.id);
+        return claimants.size;
+    };
+
+    // Keep a session in its preferred (baseline) slot and out of other sessions' preferred slots,
+    // then spread repeated lectures across the week, then honour faculty preferences, then pack
+    // batch sessions into periods other batches already use so whole-division periods stay free;
+    // ties are broken randomly
+    const orderValues = (session, values) => {
+        const scored = shuffleWithRandom(values, random).map(value => {
+            let packing = 0;
+            for (let p = value.period; p < value.period + (session.length || 1); p++) {
+                packing += slotUsage.get(`${value.day}|${p}`) || 0;
+            }
+            return {
+                value,
+                moved: session.preferred &&
+                    (value.day !== session.preferred.day || value.period !== session.preferred.period) ? 1 : 0,
+                claims: countClaims(session, value),
+                spread: dayLoad.get(spreadKey(session, value.day)) || 0,
+                misses: session.shared ? 0 : countPreferenceMisses(
+                    facultyRules.get(value.faculty), value.day, value.period, session.length || 1
+                ),
+                packing
+            };
+        });
+        scored.sort((a, b) => a.moved - b.moved || a.claims - b.claims || a.spread - b.spread || a.misses - b.misses || b.packing - a.packing);
+        return scored.map(entry => entry.value);
+    };
+
+    // Fixed sessions (library, project, ...) go in first and must not clash with each other
+    const pending = new Set();
+    for (const session of sessions) {
+        if (!session.fixed) {
+            pending.add(session);
+            continue;
+        }
+        const value = resolveSlot(session, session.fixed.day, session.fixed.period);
+        if (value) {
+            place(session, value);
+        } else {
+            pending.add(session);
+        }
+    }
+    const unplaceableFixed = [...pending].filter(session => session.fixed);
+    unplaceableFixed.forEach(session => pending.delete(session));
+
+    const reportProgress = () => options.onProgress?.({
+        steps,
+        placed: best.size,
+        total: sessions.length,
+        remaining: sessions.length - best.size
+    });
+
+    const search = () => {
+        if (pending.size === 0) return true;
+        if (++steps > attemptLimit) {
+            exhausted = true;
+            return false;
+        }
+        if (options.onProgress && steps % SOLVER_PROGRESS_STEPS === 0) reportProgress();
+
+        // Fewest options first; among equals, the largest session (longest, most batches)
+        let chosen = null;
+        let chosenCount = Infinity;
+        for (const session of pending) {
+            const count = feasibleValues(session, chosenCount + 1).length;
+            const isBetter = !chosen || count < chosenCount || (
+                count === chosenCount &&
+                (session.length || 1) * session.groups.length > (chosen.length || 1) * chosen.groups.length
+            );
+            if (isBetter) {
+                chosen = session;
+                chosenCount = count;
+                if (count === 0) break;
+            }
+        }
+        if (chosenCount === 0) return false;
+        const chosenValues = feasibleValues(chosen);
+
+        pending.delete(chosen);
+        for (const value of orderValues(chosen, chosenValues)) {
+            place(chosen, value);
+            if (search()) return true;
+            unplace(chosen, value);
+            if (exhausted) break;
+        }
+        pending.add(chosen);
+        return false;
+    };
+
+    let complete = false;
+    let budget = INITIAL_RESTART_STEPS;
+    if (unplaceableFixed.length === 0) {
+        const initialOrder = [...pending];
+        while (!complete && steps < maxSteps) {
+            // Backtracking reorders the pending set; restore it so ties are broken the same way each attempt
+            pending.clear();
+            initialOrder.forEach(session => pending.add(session));
+            exhausted = false;
+            attemptLimit = Math.min(steps + budget, maxSteps);
+            complete = search();
+            reportProgress();
+            if (!exhausted) break;
+            budget = Math.ceil(budget * 1.5);
+        }
+    }
+    const finalAssignments = complete ? assignments : best;
+
+    const placed = [];
+    const unplaced = [];
+    sessions.forEach(session => {
+        const value = finalAssignments.get(session.id);
+        if (value) {
+            placed.push({ ...session, ...value, length: session.length || 1 });
+        } else {
+            unplaced.push(session);
+        }
+    });
+
+    return { placed, unplaced, complete, exhausted, steps };
+}
+
+// Creates an error that route handlers turn into the given HTTP status
+function createHttpError(status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
+
+// Builds the error returned when the solver cannot place every session without a clash
+function createInfeasibilityError(result) {
+    return createHttpError(422,
+        `No clash-free timetable found: ${result.unplaced.length} session(s) could not be placed` +
+        (result.exhausted ? ' before the search limit was reached.' : ' without double-booking a faculty member, venue or batch or breaking faculty availability.'),
+        {
+            reason: result.exhausted ? 'search-limit' : 'infeasible',
+            unplaced: result.unplaced.map(session => ({
+                id: session.id,
+                division: session.division || null,
+                type: session.type,
+                subject: session.subject,
+                batch: session.batch,
+                ...(session.pinned && { pinned: true })
+            })),
+            unscheduled: summarizeUnscheduled(result)
+        }
+    );
+}
+
+// --- Day Grid ---
+
+// Break lengths (minutes) used when breaks are given only as a count
+const DEFAULT_SHORT_BREAK_MINUTES = 15;
+const DEFAULT_LONG_BREAK_MINUTES = 60;
+
+// Parses '9:00', '14:30' or '2:30 PM' into minutes after midnight (null if invalid)
+function parseClockTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2})[:.](\d{2})\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+// Formats minutes after midnight as a 24-hour 'HH:MM' string
+function formatClockTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Formats minutes after midnight the way timetable rows show them ('2:00', no AM/PM)
+function formatClockLabel(minutes) {
+    const hours = Math.floor(minutes / 60) % 12 || 12;
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Normalises a break setting: a count, or a list of { after, duration } / period numbers
+function normalizeBreaks(value, defaultDuration, kind) {
+    if (value === undefined || value === null || value === '') return [];
+
+    if (Array.isArray(value)) {
+        return value.map(entry => {
+            const breakInfo = typeof entry === 'object' ? entry : { after: entry };
+            const after = Number(breakInfo.after);
+            const duration = Number(breakInfo.duration ?? defaultDuration);
+            if (!Number.isInteger(after) || after < 1 || !(duration > 0)) {
+                throw createHttpError(400, `Invalid ${kind} break ${JSON.stringify(entry)}: expected { after: <period number>, duration: <minutes> }.`);
+            }
+            return { kind, after, duration };
+        });
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw createHttpError(400, `Invalid ${kind} break count: ${value}`);
+    }
+    return Array.from({ length: count }, () => ({ kind, after: null, duration: Number(defaultDuration) }));
+}
+
+/**
+ * Builds the list of teaching periods in a college day.
+ * Breaks given only as a count are spread evenly across the day, long breaks first.
+ * @param {object} [options] - `{ startTime, endTime, periodLength, shortBreaks, longBreaks,
+ *   shortBreakDuration, longBreakDuration, workingDays, halfDays }`. Break settings are a count or a list of
+ *   `{ after, duration }` where `after` is the 1-based period the break follows; the days come from the
+ *   institution policy.
+ * @returns {{slots: object[], breaks: object[], periodLength: number, workingDays: string[], halfDays: string[]}} - Each slot has `period`,
+ *   `start`/`end` ('HH:MM'), a row `label` like '9:00-10:00' and the `block` between long breaks it falls in.
+ */
+function buildDayGrid(options = {}) {
+    const dayStart = parseClockTime(options.startTime ?? '9:00');
+    const dayEnd = parseClockTime(options.endTime ?? '17:00');
+    const periodLength = Number(options.periodLength ?? 60);
+
+    if (dayStart === null || dayEnd === null) {
+        throw createHttpError(400, `Invalid college hours: ${options.startTime} - ${options.endTime}`);
+    }
+    if (dayEnd <= dayStart) {
+        throw createHttpError(400, 'College end time must be after the start time.');
+    }
+    if (!(periodLength > 0)) {
+        throw createHttpError(400, `Invalid period length: ${options.periodLength}`);
+    }
+
+    const longBreaks = normalizeBreaks(options.longBreaks, options.longBreakDuration ?? DEFAULT_LONG_BREAK_MINUTES, 'long');
+    const shortBreaks = normalizeBreaks(options.shortBreaks, options.shortBreakDuration ?? DEFAULT_SHORT_BREAK_MINUTES, 'short');
+    const allBreaks = [...longBreaks, ...shortBreaks];
+
+    // Work out how many periods fit once the breaks are taken out of the day
+    const breakMinutes = allBreaks.reduce((sum, b) => sum + b.duration, 0);
+    const periodCount = Math.floor((dayEnd - dayStart - breakMinutes) / periodLength);
+    if (periodCount < 1) {
+        throw createHttpError(400, 'The college day is too short for a single period once breaks are taken out.');
+    }
+
+    // Place counted breaks evenly, never two breaks after the same period
+    const taken = new Set(allBreaks.filter(b => b.after !== null).map(b => b.after));
+    [longBreaks, shortBreaks].forEach(group => {
+        const counted = group.filter(b => b.after === null);
+        counted.forEach((breakInfo, index) => {
+            let after = Math.round(periodCount * (index + 1) / (counted.length + 1));
+            for (let offset = 0; offset < periodCount; offset++) {
+                const candidate = [after + offset, after - offset].find(p => p >= 1 && p < periodCount && !taken.has(p));
+                if (candidate) {
+                    after = candidate;
+                    break;
+                }
+            }
+            breakInfo.after = after;
+            taken.add(after);
+        });
+    });
+
+    const invalid = allBreaks.find(b => b.after >= periodCount);
+    if (invalid) {
+        throw createHttpError(400, `A ${invalid.kind} break after period ${invalid.after} falls outside the ${periodCount}-period day.`);
+    }
+
+    const slots = [];
+    const breaks = [];
+    let cursor = dayStart;
+    let block = 0;
+    for (let period = 0; period < periodCount; period++) {
+        slots.push({
+            period,
+            start: formatClockTime(cursor),
+            end: formatClockTime(cursor + periodLength),
+            label: `${formatClockLabel(cursor)}-${formatClockLabel(cursor + periodLength)}`,
+            block
+        });
+        cursor += periodLength;
+
+        allBreaks.filter(b => b.after === period + 1).forEach(breakInfo => {
+            breaks.push({
+                kind: breakInfo.kind,
+                after: breakInfo.after,
+                start: formatClockTime(cursor),
+                end: formatClockTime(cursor + breakInfo.duration)
+            });
+            cursor += breakInfo.duration;
+            if (breakInfo.kind === 'long') block++;
+        });
+    }
+
+    const workingDays = options.workingDays || DEFAULT_INSTITUTION_POLICY.workingDays;
+    return { slots, breaks, periodLength, workingDays, halfDays: options.halfDays ?? DEFAULT_INSTITUTION_POLICY.halfDays };
+}
+
+// Solver view of a day grid: working days, usable periods per day (half days keep the first half,
+// other days none) and long-break blocks. Grids stored without policy days use the default policy.
+function buildSolverGrid(dayGrid) {
+    const workingDays = dayGrid.workingDays || DEFAULT_INSTITUTION_POLICY.workingDays;
+    const halfDays = dayGrid.halfDays || DEFAULT_INSTITUTION_POLICY.halfDays;
+    const periods = dayGrid.slots.length;
+    return {
+        days: workingDays,
+        periodsPerDay: Object.fromEntries(WEEK_DAYS.map(day => [day,
+            !workingDays.includes(day) ? 0 : halfDays.includes(day) ? Math.ceil(periods / 2) : periods
+        ])),
+        blockOf: dayGrid.slots.map(slot => slot.block)
+    };
+}
+
+// --- Faculty Availability ---
+
+// Matches 'Mon', 'monday' or 'THU' to a day of the teaching week
+function parseDayName(value) {
+    const lower = value.toString().trim().toLowerCase();
+    if (lower.length < 2) return null;
+    return WEEK_DAYS.find(day => day.toLowerCase().startsWith(lower.slice(0, 3))) || null;
+}
+
+/**
+ * Parses a list of slots such as 'Mon-Wed', 'Fri 1-2', 'P1' or 'Thursday, Sat 3'.
+ * Periods are numbered from 1; a slot without a day applies to every day, one without
+ * periods to the whole day.
+ * @param {string|string[]} value - Sheet cell or JSON value.
+ * @param {string} field - Field name used in error messages.
+ * @returns {{day: string|null, periods: number[]|null}[]} - `periods` is a 0-based inclusive range.
+ */
+function parseSlotList(value, field) {
+    if (value === undefined || value === null || value === '') return [];
+    const text = Array.isArray(value) ? value.join(',') : value.toString();
+    const slots = [];
+
+    text.split(/[,;|\n]/).map(token => token.trim()).filter(Boolean).forEach(token => {
+        const dayRange = token.match(/^([a-z]+)(?:\s*(?:-|to)\s*([a-z]+))?$/i);
+        const periodSlot = token.match(/^(?:([a-z]+)\s+)?p?(\d+)(?:\s*-\s*p?(\d+))?$/i);
+
+        if (dayRange) {
+            const from = parseDayName(dayRange[1]);
+            const to = dayRange[2] ? parseDayName(dayRange[2]) : from;
+            if (!from || !to || WEEK_DAYS.indexOf(to) < WEEK_DAYS.indexOf(from)) {
+                throw createHttpError(400, `Invalid day "${token}" in ${field}.`);
+            }
+            WEEK_DAYS.slice(WEEK_DAYS.indexOf(from), WEEK_DAYS.indexOf(to) + 1)
+                .forEach(day => slots.push({ day, periods: null }));
+        } else if (periodSlot) {
+            const day = periodSlot[1] ? parseDayName(periodSlot[1]) : null;
+            const first = Number(periodSlot[2]);
+            const last = periodSlot[3] ? Number(periodSlot[3]) : first;
+            if ((periodSlot[1] && !day) || first < 1 || last < first) {
+                throw createHttpError(400, `Invalid slot "${token}" in ${field}. Use e.g. "Mon", "Mon-Wed", "Fri 1-2" or "P1".`);
+            }
+            slots.push({ day, periods: [first - 1, last - 1] });
+        } else {
+            throw createHttpError(400, `Invalid slot "${token}" in ${field}. Use e.g. "Mon", "Mon-Wed", "Fri 1-2" or "P1".`);
+        }
+    });
+
+    return slots;
+}
+
+// Checks whether a slot from `parseSlotList` covers a day and period
+function slotMatches(slot, day, period) {
+    return (!slot.day || slot.day === day) &&
+        (!slot.periods || (period >= slot.periods[0] && period <= slot.periods[1]));
+}
+
+// Reads an optional positive whole-number limit (max hours per day, ...)
+function readLimit(row, names, field) {
+    const value = readField(row, names);
+    if (value === undefined) return null;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw createHttpError(400, `${field} must be a whole number of at least 1, got "${value}".`);
+    }
+    return limit;
+}
+
+/**
+ * Builds the availability rules of each faculty member from 'Faculty Availability' sheet rows
+ * or entries posted to the API (both use the same field names). Unavailable slots and the
+ * daily/consecutive limits are hard constraints; preferred days, preferred slots and slots
+ * to avoid are soft preferences. Later entries for the same faculty member add to earlier ones.
+ * @param {object[]} rows - Sheet rows or API entries.
+ * @returns {Map<string, {unavailable: object[], preferredDays: string[], preferredSlots: object[],
+ *   avoidSlots: object[], maxPerDay: number|null, maxConsecutive: number|null}>}
+ */
+function buildFacultyAvailability(rows) {
+    const rules = new Map();
+
+    rows.forEach(row => {
+        const name = readField(row, FIELD_NAMES.facultyName)?.toString().trim();
+        if (!name) return;
+
+        const unavailable = parseSlotList(readField(row, FIELD_NAMES.unavailable), `unavailable slots of ${name}`);
+        const availableDays = parseSlotList(readField(row, FIELD_NAMES.availableDays), `available days of ${name}`);
+        if (availableDays.length > 0) {
+            WEEK_DAYS.filter(day => !availableDays.some(slot => slot.day === day))
+                .forEach(day => unavailable.push({ day, periods: null }));
+        }
+
+        const preferredDays = parseSlotList(readField(row, FIELD_NAMES.preferredDays), `preferred days of ${name}`);
+        if (preferredDays.some(slot => !slot.day || slot.periods)) {
+            throw createHttpError(400, `Preferred days of ${name} must be day names; use preferred slots for periods.`);
+        }
+
+        const rule = rules.get(name) || {
+            unavailable: [], preferredDays: [], preferredSlots: [], avoidSlots: [], maxPerDay: null, maxConsecutive: null
+        };
+        rule.unavailable.push(...unavailable);
+        rule.preferredDays.push(...preferredDays.map(slot => slot.day));
+        rule.preferredSlots.push(...parseSlotList(readField(row, FIELD_NAMES.preferredSlots), `preferred slots of ${name}`));
+        rule.avoidSlots.push(...parseSlotList(readField(row, FIELD_NAMES.avoidSlots), `slots to avoid of ${name}`));
+
+        const maxPerDay = readLimit(row, FIELD_NAMES.maxHoursPerDay, `Max hours per day of ${name}`);
+        const maxConsecutive = readLimit(row, FIELD_NAMES.maxConsecutiveHours, `Max consecutive hours of ${name}`);
+        if (maxPerDay) rule.maxPerDay = Math.min(rule.maxPerDay ?? Infinity, maxPerDay);
+        if (maxConsecutive) rule.maxConsecutive = Math.min(rule.maxConsecutive ?? Infinity, maxConsecutive);
+
+        rules.set(name, rule);
+    });
+
+    return rules;
+}
+
+// Counts the soft preferences of a faculty member a session placed at day/period misses
+function countPreferenceMisses(rule, day, period, length) {
+    if (!rule) return 0;
+    const periods = Array.from({ length }, (_, i) => period + i);
+    let misses = 0;
+    if (rule.preferredDays.length > 0 && !rule.preferredDays.includes(day)) misses++;
+    if (rule.preferredSlots.length > 0 &&
+        !periods.every(p => rule.preferredSlots.some(slot => slotMatches(slot, day, p)))) misses++;
+    if (periods.some(p => rule.avoidSlots.some(slot => slotMatches(slot, day, p)))) misses++;
+    return misses;
+}
+
+/**
+ * Reports how many soft preferences the placed sessions satisfy. Each session taught by a
+ * faculty member counts once per kind of preference they gave (preferred days, preferred
+ * slots, slots to avoid).
+ * @param {object[]} placedSessions - Sessions returned by the solver.
+ * @param {Map} rules - Rules from `buildFacultyAvailability`.
+ * @returns {{total: number, satisfied: number, faculty: {faculty: string, total: number, satisfied: number}[]}}
+ */
+function summarizeFacultyPreferences(placedSessions, rules) {
+    const byFaculty = new Map();
+    placedSessions.forEach(session => {
+        const rule = rules?.get(session.faculty);
+        if (session.shared || !rule) return;
+
+        const kinds = (rule.preferredDays.length > 0) + (rule.preferredSlots.length > 0) + (rule.avoidSlots.length > 0);
+        if (kinds === 0) return;
+
+        const entry = byFaculty.get(session.faculty) || { faculty: session.faculty, total: 0, satisfied: 0 };
+        entry.total += kinds;
+        entry.satisfied += kinds - countPreferenceMisses(rule, session.day, session.period, session.length || 1);
+        byFaculty.set(session.faculty, entry);
+    });
+
+    const faculty = [...byFaculty.values()];
+    return {
+        total: faculty.reduce((sum, entry) => sum + entry.total, 0),
+        satisfied: faculty.reduce((sum, entry) => sum + entry.satisfied, 0),
+        faculty
+    };
+}
+
+// --- Institution Policy ---
+
+// Kinds of recurring block a policy can reserve; they only occupy the batches they are for
+const RECURRING_BLOCK_TYPES = ['library', 'project', 'mentoring', 'sports'];
+
+/**
+ * Policy used until one is saved through the API: a Monday-Saturday week with Saturday as a
+ * half day, two library hours on Tuesday and one on Thursday and Friday, and two project
+ * hours on Wednesday and Friday, all counted back from the end of the day. The blocks name no
+ * faculty or venue, since the dataset may not have them; a saved policy can add them.
+ */
+const DEFAULT_INSTITUTION_POLICY = {
+    workingDays: WEEK_DAYS,
+    halfDays: ['Saturday'],
+    blocks: [
+        { name: 'LIBRARY SESSION', type: 'library', duration: 2, slots: [{ day: 'Tuesday', start: -3 }], batches: 'all', faculty: null, venue: null },
+        { name: 'LIBRARY SESSION', type: 'library', duration: 1, slots: [{ day: 'Thursday', start: -1 }, { day: 'Friday', start: -1 }], batches: 'all', faculty: null, venue: null },
+        { name: 'PROJECT WORK', type: 'project', duration: 2, slots: [{ day: 'Wednesday', start: -2 }, { day: 'Friday', start: -3 }], batches: 'all', faculty: null, venue: null }
+    ]
+};
+
+// Reads a list of whole days ('Mon-Fri', ['Monday', 'Sat']) as day names in week order
+function readPolicyDays(value, field) {
+    const slots = parseSlotList(value, field);
+    if (slots.some(slot => !slot.day || slot.periods)) {
+        throw createHttpError(400, `${field} must list whole days, e.g. "Mon-Fri" or ["Monday", "Saturday"].`);
+    }
+    return WEEK_DAYS.filter(day => slots.some(slot => slot.day === day));
+}
+
+/**
+ * Checks an institution policy and fills in its defaults.
+ * - `workingDays`: the teaching days (Sunday is always off); the other days get a holiday entry.
+ * - `halfDays`: working days that only have the first half of the periods.
+ * - `blocks`: recurring blocks `{ name, type, duration, slots, batches, faculty, venue }`, where
+ *   `type` is one of RECURRING_BLOCK_TYPES, `duration` is in periods, each slot is `{ day, start }`
+ *   with a 1-based start period or one counted back from the day's last period when negative
+ *   (-1 = last), and `batches` is 'all' or a list of batch names ('B1' or 'DS1-B1').
+ * @param {object} input - Policy sent to the API.
+ * @returns {object}
+ */
+function normalizeInstitutionPolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw createHttpError(400, 'The policy must be an object with "workingDays", "halfDays" and "blocks".');
+    }
+    const workingDays = input.workingDays === undefined ? DEFAULT_INSTITUTION_POLICY.workingDays : readPolicyDays(input.workingDays, 'workingDays');
+    if (workingDays.length === 0) {
+        throw createHttpError(400, 'workingDays must name at least one day.');
+    }
+    const halfDays = readPolicyDays(input.halfDays ?? [], 'halfDays');
+    const notWorking = halfDays.filter(day => !workingDays.includes(day));
+    if (notWorking.length > 0) {
+        throw createHttpError(400, `Half days must be working days: ${notWorking.join(', ')}.`);
+    }
+    if (input.blocks !== undefined && !Array.isArray(input.blocks)) {
+        throw createHttpError(400, '"blocks" must be a list of recurring blocks.');
+    }
+    
+    const blocks = (input.blocks || []).map((block, index) => {
+        const label = `Block ${index + 1}${block?.name ? ` (${block.name})` : ''}`;
+        if (!block || typeof block.name !== 'string' || !block.name.trim()) {
+            throw createHttpError(400, `${label} needs a "name".`);
+        }
+        if (!RECURRING_BLOCK_TYPES.includes(block.type)) {
+            throw createHttpError(400, `${label} needs a "type" of ${RECURRING_BLOCK_TYPES.join(', ')}.`);
+        }
+        const duration = Number(block.duration ?? 1);
+        if (!Number.isInteger(duration) || duration < 1) {
+            throw createHttpError(400, `${label}: "duration" must be a whole number of periods, got "${block.duration}".`);
+        }
+        if (!Array.isArray(block.slots) || block.slots.length === 0) {
+            throw createHttpError(400, `${label} needs "slots", e.g. [{ "day": "Tuesday", "start": -2 }].`);
+        }
+        const slots = block.slots.map(slot => {
+            const day = slot?.day ? parseDayName(slot.day) : null;
+            const start = Number(slot?.start);
+            if (!day || !workingDays.includes(day)) {
+                throw createHttpError(400, `${label}: "${slot?.day}" is not a working day.`);
+            }
+            if (!Number.isInteger(start) || start === 0) {
+                throw createHttpError(400, `${label}: "start" must be a period number, or negative to count back from the last period.`);
+            }
+            return { day, start };
+        });
+        const batches = block.batches === undefined || block.batches === 'all' ? 'all' : block.batches;
+        if (batches !== 'all' && (!Array.isArray(batches) || batches.length === 0 || batches.some(batch => typeof batch !== 'string' || !batch.trim()))) {
+            throw createHttpError(400, `${label}: "batches" must be "all" or a list of batch names.`);
+        }
+        return {
+            name: block.name.trim(),
+            type: block.type,
+            duration,
+            slots,
+            batches: batches === 'all' ? 'all' : batches.map(batch => batch.trim()),
+            faculty: block.faculty?.toString().trim() || null,
+            venue: block.venue?.toString().trim() || null
+        };
+    });
+    
+    return { workingDays, halfDays, blocks };
+}
+
+/**
+ * Turns the recurring blocks of a policy into fixed solver sessions for one division, one
+ * per period and per batch group. Blocks for specific batches only reach the batches they
+ * name; slots that do not fit the day (a start past the last period, a long block on a half
+ * day) are skipped and reported, since the day grid is only known at generation time.
+ * @param {object} policy - Policy from `normalizeInstitutionPolicy`.
+ * @param {object} grid - Solver grid of the division.
+ * @param {string[]} batches - The division's batch names.
+ * @returns {{sessions: object[], skipped: object[]}} - Skipped slots are `{ name, type, day, start, duration, reason }`.
+ */
+function buildRecurringBlockSessions(policy, grid, batches) {
+    const sessions = [];
+    const skipped = [];
+    policy.blocks.forEach(block => {
+        const attendees = block.batches === 'all'
+            ? [{ batch: 'All Batches', groups: batches }]
+            : batches.filter(name => block.batches.some(label => batchMatches(label, name))).map(name => ({ batch: name, groups: [name] }));
+        
+        block.slots.forEach(slot => {
+            const periods = grid.periodsPerDay[slot.day] || 0;
+            const first = slot.start > 0 ? slot.start - 1 : periods + slot.start;
+            if (first < 0 || first + block.duration > periods) {
+                const reason = `${slot.day} has ${periods} period${periods === 1 ? '' : 's'}, too few for ${block.duration} ` +
+                    `period${block.duration === 1 ? '' : 's'} from start ${slot.start}.`;
+                console.log(`⚠️ Skipping ${block.name}: ${reason}`);
+                skipped.push({ name: block.name, type: block.type, day: slot.day, start: slot.start, duration: block.duration, reason });
+                return;
+            }
+            for (let period = first; period < first + block.duration; period++) {
+                attendees.forEach(({ batch, groups }) => sessions.push({
+                    id: `${block.type.toUpperCase()}-${sessions.length + 1}`,
+                    type: block.type,
+                    subject: block.name,
+                    batch,
+                    groups,
+                    facultyOptions: [block.faculty],
+                    venueOptions: [block.venue],
+                    length: 1,
+                    shared: true,
+                    fixed: { day: slot.day, period }
+                }));
+            }
+        });
+    });
+    return { sessions, skipped };
+}
+
+// --- Elective Groups ---
+
+// Reads a division key ('DS1', 'ds 1') in the form divisions are keyed by ('DS1')
+function readDivisionKey(value) {
+    return String(value ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Checks the elective groups sent to the API. A group is a basket of alternative courses that
+ * students of several divisions choose from, so all of its courses run in the same slots in
+ * every division taking part.
+ * - `name`: unique name of the basket, e.g. 'Open Elective I'.
+ * - `divisions`: divisions taking part, as branch and division ('DS1', 'CS2').
+ * - `hours`: one-period slots per week; every course of the basket is taught in each of them.
+ * - `courses`: `{ code, name, faculty, venue }`, each with its own faculty member and, when
+ *   given, its own venue (otherwise the solver picks a free classroom).
+ * @param {object} input - `{ groups: [...] }`.
+ * @returns {{groups: object[]}}
+ */
+function normalizeElectiveGroups(input) {
+    if (!input || !Array.isArray(input.groups)) {
+        throw createHttpError(400, 'Request body must be { groups: [...] } with one entry per elective group.');
+    }
+    const names = new Set();
+
+    const groups = input.groups.map((group, index) => {
+        const label = `Elective group ${index + 1}${group?.name ? ` (${group.name})` : ''}`;
+        if (!group || typeof group.name !== 'string' || !group.name.trim()) {
+            throw createHttpError(400, `${label} needs a "name".`);
+        }
+        const name = group.name.trim();
+        if (names.has(name.toLowerCase())) {
+            throw createHttpError(400, `There is more than one elective group named "${name}".`);
+        }
+        names.add(name.toLowerCase());
+
+        const hours = Number(group.hours ?? 1);
+        if (!Number.isInteger(hours) || hours < 1) {
+            throw createHttpError(400, `${label}: "hours" must be a whole number of periods per week, got "${group.hours}".`);
+        }
+        if (!Array.isArray(group.divisions) || group.divisions.length === 0 || group.divisions.some(division => !readDivisionKey(division))) {
+            throw createHttpError(400, `${label} needs "divisions", e.g. ["DS1", "DS2", "CS1"].`);
+        }
+        if (!Array.isArray(group.courses) || group.courses.length === 0) {
+            throw createHttpError(400, `${label} needs "courses", e.g. [{ "name": "Cloud Computing", "faculty": "Dr. Rao" }].`);
+        }
+
+        const courses = group.courses.map((course, courseIndex) => {
+            const courseName = course?.name?.toString().trim();
+            const faculty = course?.faculty?.toString().trim();
+            if (!courseName || !faculty) {
+                throw createHttpError(400, `${label}: course ${courseIndex + 1} needs a "name" and a "faculty".`);
+            }
+            return {
+                code: course.code?.toString().trim() || null,
+                name: courseName,
+                faculty,
+                venue: course.venue?.toString().trim() || null
+            };
+        });
+
+        // The courses of a basket run at the same time, so they cannot share a teacher, room or name
+        for (const field of ['name', 'faculty', 'venue']) {
+            const values = courses.map(course => course[field]?.toLowerCase()).filter(Boolean);
+            const repeated = values.find((value, position) => values.indexOf(value) !== position);
+            if (repeated) {
+                throw createHttpError(400, `${label}: two courses have the same ${field} "${repeated}", but they run at the same time.`);
+            }
+        }
+
+        return { name, hours, divisions: [...new Set(group.divisions.map(readDivisionKey))], courses };
+    });
+
+    return { groups };
+}
+
+/**
+ * Turns the elective groups a division takes part in into solver sessions: for each weekly
+ * hour of a group, one session per course, all sharing an `electiveSlot` so they land in the
+ * same slot. The first course holds the division's batches for the whole basket, the others
+ * only book their faculty member and venue. Ids and slots are not prefixed with the division,
+ * so the copies of other divisions can be merged with `mergeElectiveSessions`.
+ * @param {object[]} groups - Elective groups of the division.
+ * @param {object[]} venues - Venues from `buildVenues`.
+ * @param {string[]} batches - The division's batch names.
+ * @param {object} [slots] - Slots `{ day, period }` per group name that other divisions already
+ *   use for it, from `readElectiveSlots`; the group is fixed there.
+ * @returns {object[]}
+ */
+function buildElectiveSessions(groups, venues, batches, slots = {}) {
+    const classrooms = findSuitableVenues(venues, { roomType: 'classroom' });
+    return groups.flatMap(group => {
+        const groupId = toResourceId(group.name);
+        return Array.from({ length: group.hours }, (_, hour) => group.courses.map((course, courseIndex) => ({
+            id: `ELECTIVE-${groupId}-${hour + 1}-${toResourceId(course.code || course.name)}`,
+            type: 'elective',
+            subject: `${course.name} (ELECTIVE: ${group.name})`,
+            courseName: course.name,
+            courseCode: course.code,
+            electiveGroup: group.name,
+            electiveSlot: `ELECTIVE|${groupId}|${hour + 1}`,
+            batch: 'All Batches',
+            groups: courseIndex === 0 ? batches : [],
+            facultyOptions: [course.faculty],
+            venueOptions: course.venue ? [course.venue] : classrooms,
+            length: 1,
+            ...(slots[group.name]?.[hour] && { fixed: slots[group.name][hour] })
+        }))).flat();
+    });
+}
+
+// Division copies of the same elective session become one session that all of their batches attend
+function mergeElectiveSessions(sessions) {
+    const merged = new Map();
+    return sessions.filter(session => {
+        if (!session.electiveGroup) return true;
+        const first = merged.get(session.id);
+        if (!first) {
+            merged.set(session.id, session);
+            return true;
+        }
+        first.groups = [...first.groups, ...session.groups];
+        first.divisions = [...first.divisions, ...session.divisions];
+        return false;
+    });
+}
+
+// --- Faculty Allocation ---
+
+// Kinds of teaching faculty are allocated to
+const ALLOCATION_TYPES = ['theory', 'tutorial', 'lab'];
+
+// Reads a Faculty sheet teaching type ('TH', 'LAB', 'TH/LAB') as the allocation types it covers
+function readTeachingTypes(value) {
+    const text = String(value ?? '').toUpperCase();
+    const theory = /\bTH|THEORY|LECT/.test(text);
+    const lab = /LAB|\bPR|PRACTICAL/.test(text);
+    if (theory === lab) return ALLOCATION_TYPES;
+    return theory ? ['theory', 'tutorial'] : ['lab'];
+}
+
+/**
+ * Reads the Faculty sheet into the profiles allocation matches against. A faculty member may
+ * have several rows, e.g. one per course; each row lists course codes or names, expertise tags
+ * and what it covers (theory, labs or both), and any row may give a maximum weekly load in hours.
+ * @param {object[]} rows - Faculty sheet rows of the division.
+ * @returns {{name: string, maxLoad: number|null, entries: object[]}[]}
+ */
+function buildFacultyProfiles(rows) {
+    const profiles = new Map();
+    rows.forEach(row => {
+        const name = readField(row, FIELD_NAMES.facultyName)?.toString().trim();
+        if (!name) return;
+        const profile = profiles.get(name.toLowerCase()) || { name, maxLoad: null, entries: [] };
+        profiles.set(name.toLowerCase(), profile);
+        
+        const maxLoad = Number(readField(row, FIELD_NAMES.maxWeeklyLoad));
+        if (maxLoad > 0) profile.maxLoad = maxLoad;
+        profile.entries.push({
+            courses: [...parseTags(readField(row, FIELD_NAMES.courseCode)), ...parseTags(readField(row, FIELD_NAMES.courseName))],
+            expertise: parseTags(readField(row, FIELD_NAMES.expertise)),
+            types: readTeachingTypes(readField(row, FIELD_NAMES.teachingType))
+        });
+    });
+    return [...profiles.values()];
+}
+
+// How well a faculty member fits a unit of teaching: 2 = a row lists the course, 1 = an
+// expertise tag names its code or words of its name ('networks' fits 'Computer Networks'), 0 = no fit
+function allocationMatch(profile, unit) {
+    const code = unit.courseCode?.toLowerCase();
+    const name = unit.courseName.toLowerCase();
+    const words = name.split(/[^a-z0-9]+/).filter(Boolean);
+    return profile.entries.filter(entry => entry.types.includes(unit.type)).reduce((match, entry) => {
+        if (entry.courses.some(course => course === code || course === name)) return 2;
+        const fits = entry.expertise.some(tag => tag === code || tag.split(/[^a-z0-9]+/).filter(Boolean).every(word => words.includes(word)));
+        return Math.max(match, fits ? 1 : 0);
+    }, 0);
+}
+
+/**
+ * Allocates faculty to the teaching a division needs before it is scheduled, one unit per
+ * course's lecture row in Load Dist and per batch's tutorials and labs:
+ * - saved overrides decide first (source 'override');
+ * - then Load Dist rows that name faculty ('load-dist');
+ * - tutorials without a named tutor go to the course's lecturer ('lecturer') while their load allows;
+ * - everything else goes to a faculty member whose Faculty sheet row lists the course ('course')
+ *   or, failing that, whose expertise fits it ('expertise'): the least loaded one that stays
+ *   within their maximum weekly load, scarcest teaching first.
+ * Nobody is made up: teaching nobody fits stays unallocated, with the reason.
+ * @param {object[]} courseLoads - Courses from `buildCourseLoads`.
+ * @param {string[]} batches - The division's batch names.
+ * @param {object[]} facultyRows - Faculty sheet rows of the division.
+ * @param {object[]} [overrides] - The division's overrides from `normalizeAllocationOverrides`.
+ * @param {Map} [loads] - Weekly hours already allocated per faculty member (lower-case name);
+ *   divisions solved together share it, and it is updated with this division's allocation.
+ * @returns {{units: object[], faculty: object[], unallocated: object[]}} - Units are keyed by
+ *   `type|course index|batch|lecture row` and list the `faculty` that may teach them, preferred first.
+ */
+function allocateFaculty(courseLoads, batches, facultyRows, overrides = [], loads = new Map()) {
+    const profiles = buildFacultyProfiles(facultyRows);
+    const loadOf = name => loads.get(name.toLowerCase()) || 0;
+    const addLoad = (name, hours) => loads.set(name.toLowerCase(), loadOf(name) + hours);
+    const units = [];
+    
+    courseLoads.forEach((course, courseIndex) => {
+        const base = { courseCode: course.code, courseName: course.name };
+        course.theory.forEach(({ faculty, hours }, row) => units.push({
+            key: `theory|${courseIndex}||${row}`, type: 'theory', ...base, batch: null, hours, named: faculty ? [faculty] : []
+        }));
+        batches.forEach((batch, batchIndex) => {
+            const batchKey = Object.keys(course.batches).find(label => batchMatches(label, batch));
+            const batchLoad = batchKey ? course.batches[batchKey] : {};
+            const named = rotateList(batchLoad.faculty?.length ? batchLoad.faculty : course.faculty, batchIndex);
+            const tutorial = batchLoad.tutorial ?? course.tutorial;
+            const practical = batchLoad.practical ?? course.practical;
+            if (tutorial > 0) units.push({ key: `tutorial|${courseIndex}|${batch}|0`, type: 'tutorial', ...base, batch, hours: tutorial, named });
+            if (practical > 0) units.push({ key: `lab|${courseIndex}|${batch}|0`, type: 'lab', ...base, batch, hours: practical, named });
+        });
+    });
+    
+    // The last override that fits a unit wins
+    const overrideFor = unit => overrides.filter(override =>
+        override.type === unit.type &&
+        [unit.courseCode, unit.courseName].some(value => value && value.toLowerCase() === override.course.toLowerCase()) &&
+        (!override.batch || batchMatches(override.batch, unit.batch))
+    ).pop();
+    units.forEach(unit => {
+        const override = overrideFor(unit);
+        if (override) {
+            Object.assign(unit, { faculty: [override.faculty], source: 'override' });
+        } else if (unit.named.length > 0) {
+            Object.assign(unit, { faculty: unit.named, source: 'load-dist' });
+        } else {
+            return;
+        }
+        addLoad(unit.faculty[0], unit.hours);
+    });
+    
+    const fitsLoad = (name, hours) => {
+        const maxLoad = profiles.find(profile => profile.name.toLowerCase() === name.toLowerCase())?.maxLoad;
+        return !maxLoad || loadOf(name) + hours <= maxLoad;
+    };
+    const candidatesFor = unit => profiles
+        .map(profile => ({ profile, match: allocationMatch(profile, unit) }))
+        .filter(candidate => candidate.match > 0);
+    const assign = unit => {
+        const candidates = candidatesFor(unit);
+        const open = candidates.filter(({ profile }) => fitsLoad(profile.name, unit.hours));
+        if (open.length === 0) {
+            Object.assign(unit, {
+                faculty: [],
+                source: null,
+                reason: candidates.length > 0
+                    ? `Everyone who can teach it is at their maximum weekly load: ${candidates.map(candidate => candidate.profile.name).join(', ')}.`
+                    : 'No Faculty sheet row lists the course or expertise that fits it.'
+            });
+            return;
+        }
+        open.sort((a, b) => b.match - a.match || loadOf(a.profile.name) - loadOf(b.profile.name) || a.profile.name.localeCompare(b.profile.name));
+        const [chosen] = open;
+        Object.assign(unit, { faculty: [chosen.profile.name], source: chosen.match === 2 ? 'course' : 'expertise' });
+        addLoad(chosen.profile.name, unit.hours);
+    };
+    
+    // Lectures and labs with the fewest candidates (then the most hours) pick first
+    units.filter(unit => !unit.source && unit.type !== 'tutorial')
+        .map(unit => ({ unit, options: candidatesFor(unit).length }))
+        .sort((a, b) => a.options - b.options || b.unit.hours - a.unit.hours)
+        .forEach(({ unit }) => assign(unit));
+    units.filter(unit => !unit.source && unit.type === 'tutorial').forEach(unit => {
+        const courseIndex = unit.key.split('|')[1];
+        const lecture = units.find(other => other.key.startsWith(`theory|${courseIndex}|`) && other.faculty.length > 0);
+        if (!lecture || !fitsLoad(lecture.faculty[0], unit.hours)) return assign(unit);
+        Object.assign(unit, { faculty: [lecture.faculty[0]], source: 'lecturer' });
+        addLoad(lecture.faculty[0], unit.hours);
+    });
+    
+    const report = units.map(({ named, ...unit }) => unit);
+    const names = [...new Set([...profiles.map(profile => profile.name), ...report.map(unit => unit.faculty[0]).filter(Boolean)])];
+    const faculty = names.map(name => {
+        const profile = profiles.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+        const maxLoad = profile?.maxLoad ?? null;
+        return {
+            name,
+            hours: report.filter(unit => unit.faculty[0] === name).reduce((sum, unit) => sum + unit.hours, 0),
+            maxLoad,
+            inFacultySheet: Boolean(profile),
+            ...(maxLoad && loadOf(name) > maxLoad && { overloaded: true })
+        };
+    }).sort((a, b) => b.hours - a.hours || a.name.localeCompare(b.name));
+    
+    return {
+        units: report,
+        faculty,
+        unallocated: report.filter(unit => unit.faculty.length === 0)
+    };
+}
+
+/**
+ * Checks the allocation overrides sent to the API. Each override `{ division, course, type,
+ * batch, faculty }` gives a course's lectures (`type` 'theory'), or its tutorials or labs, in a
+ * division ('DS1') to a faculty member; tutorials and labs can be limited to one `batch`.
+ * `course` is a course code or name.
+ * @param {object} input - `{ overrides: [...] }`.
+ * @returns {{overrides: object[]}}
+ */
+function normalizeAllocationOverrides(input) {
+    if (!input || !Array.isArray(input.overrides)) {
+        throw createHttpError(400, 'Request body must be { overrides: [...] } with one entry per override.');
+    }
+    const overrides = input.overrides.map((override, index) => {
+        const label = `Override ${index + 1}`;
+        const division = readDivisionKey(override?.division);
+        const course = override?.course?.toString().trim();
+        const faculty = override?.faculty?.toString().trim();
+        if (!division || !course || !faculty) {
+            throw createHttpError(400, `${label} needs a "division" (e.g. "DS1"), a "course" and a "faculty".`);
+        }
+        if (!ALLOCATION_TYPES.includes(override.type)) {
+            throw createHttpError(400, `${label} needs a "type" of ${ALLOCATION_TYPES.join(', ')}.`);
+        }
+        const batch = override.batch?.toString().trim();
+        if (batch && override.type === 'theory') {
+            throw createHttpError(400, `${label}: lectures are for the whole division, so "batch" does not apply.`);
+        }
+        return { division, course, type: override.type, ...(batch && { batch }), faculty };
+    });
+    return { overrides };
+}
+
+// --- Timetable Generator ---
+
+/**
+ * Groups a division's lab sessions into rotation blocks for parallel labs: with n rounds
+ * (the larger of the lab course and batch counts), in round r batch i takes the ((i + r) mod n)th
+ * lab course, so the batches of a block are all in different labs at the same time and every
+ * batch goes through every lab over the rounds. With fewer lab courses than batches, a batch
+ * whose index falls past the last course has no lab in that round.
+ * A course with several lab sessions per batch repeats the rotation once per session; only
+ * sessions of the same length share a block.
+ * @param {object[]} sessions - Sessions of the division; lab sessions get a `rotationBlock`.
+ * @param {string[]} batches - The division's batch names, in order.
+ * @returns {number} - Number of rotation blocks.
+ */
+function assignLabRotation(sessions, batches) {
+    const labs = sessions.filter(session => session.type === 'lab');
+    const courses = [...new Set(labs.map(session => session.courseCode || session.subject))];
+    const rounds = Math.max(courses.length, batches.length);
+    const repeats = new Map();
+    const blocks = new Map();
+    
+    labs.forEach(session => {
+        const course = courses.indexOf(session.courseCode || session.subject);
+        const batch = batches.indexOf(session.batch);
+        const round = ((course - batch) % rounds + rounds) % rounds;
+        const repeatKey = `${course}|${batch}|${session.length}`;
+        const repeat = repeats.get(repeatKey) || 0;
+        repeats.set(repeatKey, repeat + 1);
+        
+        const blockKey = `${repeat}|${round}|${session.length}`;
+        if (!blocks.has(blockKey)) blocks.set(blockKey, `LAB-BLOCK-${blocks.size + 1}`);
+        session.rotationBlock = blocks.get(blockKey);
+    });
+    return blocks.size;
+}
+
+/**
+ * Turns one division's data into the sessions the solver has to place: lectures for the
+ * whole division, tutorials and labs per batch, plus the recurring blocks (library, project, ...)
+ * the institution policy reserves and the elective groups the division takes part in. With
+ * `allData.labRotation` the labs run as parallel rotation blocks (see `assignLabRotation`).
+ * Faculty come from the allocation stage (see `allocateFaculty`).
+ * Session ids, batch groups and rotation blocks are prefixed with the division so divisions can be solved together.
+ * @param {object} allData - Generator input prepared by `loadDivisionData`.
+ * @returns {{sessions: object[], grid: object, timeSlots: object[], divisionKey: string, allocation: object, skippedBlocks: object[]}}
+ */
+function buildDivisionSessions(allData) {
+    const dayGrid = allData.dayGrid || buildDayGrid();
+    const timeSlots = dayGrid.slots;
+    const labLength = Math.max(1, Math.ceil((allData.constraints?.labDuration || dayGrid.periodLength) / dayGrid.periodLength));
+    
+    // Extract data
+    const courseLoads = buildCourseLoads(allData.theoryCourses || [], allData.labCourses || [], allData.loadDist || [], labLength);
+    const venues = buildVenues(allData.venues || []);
+    if (venues.length === 0) {
+        throw createHttpError(422, 'The Venue sheet has no rooms. Add venues to the dataset before generating a timetable.');
+    }
+    
+    // Get batches for this division from Batch Details
+    const batchDetails = allData.batchGroups || buildBatches(allData.batches || [], allData.branch, allData.division);
+    if (batchDetails.length === 0) {
+        throw createHttpError(422,
+            `The Batch Details sheet has no batches for ${allData.branch} Division ${allData.division}. ` +
+            'Add the division\'s batches to the dataset before generating a timetable.');
+    }
+    allData.batchGroups = batchDetails;
+    const batches = batchDetails.map(batch => batch.name);
+    const divisionStrength = batchDetails.every(batch => batch.strength) ?
+        batchDetails.reduce((sum, batch) => sum + batch.strength, 0) : null;
+    
+    // Faculty for every lecture, tutorial and lab, decided before scheduling
+    const allocation = allocateFaculty(courseLoads, batches, allData.faculty || [], allData.facultyOverrides || [], allData.facultyLoads);
+    const allocated = new Map(allocation.units.map(unit => [unit.key, unit.faculty]));
+    const batchStrength = Object.fromEntries(batchDetails.map(batch => [batch.name, batch.strength]));
+    
+    console.log(`🎯 Conflict-free scheduling of ${courseLoads.length} courses for ${batches.length} batches`);
+    console.log(`   Batches: ${batchDetails.map(b => `${b.name} (${b.strength ?? '?'} students)`).join(', ')}`);
+    console.log(`   Division strength: ${divisionStrength ?? 'unknown'}`);
+    console.log(`   Courses with Load Dist hours: ${courseLoads.filter(c => c.fromLoadDist).length}`);
+    console.log(`   Faculty allocated: ${allocation.faculty.filter(entry => entry.hours > 0).length}, unallocated units: ${allocation.unallocated.length}`);
+    console.log(`   Venues: ${venues.map(v => `${v.name} (${v.type}, ${v.capacity ?? '?'} seats)`).join(', ')}`);
+    if (venues.some(v => v.typeInferred)) {
+        console.log('   ⚠️ Venue sheet has no room type column, types were guessed from room names');
+    }
+    
+    // Sessions the solver has to place
+    const sessions = [];
+    
+    // RULE 1: Theory sessions - Load Dist lecture hours (all batches together)
+    // RULE 2: Tutorials and practicals - Load Dist hours for every batch
+    courseLoads.forEach((course, courseIndex) => {
+        const courseId = course.code || `C${courseIndex + 1}`;
+        const classroomType = course.kind === 'theory' && course.roomType ? course.roomType : 'classroom';
+        const labType = course.kind === 'lab' && course.roomType ? course.roomType : 'lab';
+        const divisionVenues = findSuitableVenues(venues, { roomType: classroomType, tags: course.equipment, size: divisionStrength });
+        
+        let lecture = 0;
+        course.theory.forEach(({ hours }, row) => {
+            const lecturers = allocated.get(`theory|${courseIndex}||${row}`);
+            for (let hour = 0; hour < hours; hour++) {
+                sessions.push({
+                    id: `TH-${courseId}-${++lecture}`,
+                    type: 'theory',
+                    subject: course.name,
+                    courseCode: course.code,
+                    batch: 'All Batches',
+                    groups: batches,
+                    facultyOptions: lecturers,
+                    venueOptions: divisionVenues,
+                    length: 1
+                });
+            }
+        });
+        
+        // Each batch prefers its "own" faculty and venue but the solver may pick any free one
+        batches.forEach((batch, batchIndex) => {
+            const batchKey = Object.keys(course.batches).find(label => batchMatches(label, batch));
+            const batchLoad = batchKey ? course.batches[batchKey] : {};
+            const tutorialHours = batchLoad.tutorial ?? course.tutorial;
+            const practicalHours = batchLoad.practical ?? course.practical;
+            const size = batchStrength[batch];
+            
+            for (let hour = 0; hour < tutorialHours; hour++) {
+                sessions.push({
+                    id: `TUT-${courseId}-${batchIndex + 1}-${hour + 1}`,
+                    type: 'tutorial',
+                    subject: `${course.name} (TUTORIAL)`,
+                    courseName: course.name,
+                    courseCode: course.code,
+                    batch: batch,
+                    groups: [batch],
+                    facultyOptions: allocated.get(`tutorial|${courseIndex}|${batch}|0`),
+                    venueOptions: findSuitableVenues(venues, { roomType: classroomType, tags: course.equipment, size }),
+                    length: 1
+                });
+            }
+            
+            // Practical hours are split into lab-length sessions plus any shorter remainder
+            let remaining = practicalHours;
+            let labSession = 0;
+            while (remaining > 0) {
+                const length = Math.min(labLength, remaining);
+                remaining -= length;
+                sessions.push({
+                    id: `LAB-${courseId}-${batchIndex + 1}-${++labSession}`,
+                    type: 'lab',
+                    subject: course.name,
+                    courseCode: course.code,
+                    batch: batch,
+                    groups: [batch],
+                    facultyOptions: allocated.get(`lab|${courseIndex}|${batch}|0`),
+                    venueOptions: rotateList(findSuitableVenues(venues, { roomType: labType, tags: course.equipment, size }), batchIndex),
+                    length
+                });
+            }
+        });
+    });
+    
+    // Sessions no room in the dataset can host (wrong type, missing equipment or too small)
+    const withoutVenue = sessions.filter(session => session.venueOptions.length === 0);
+    if (withoutVenue.length > 0) {
+        const shortages = withoutVenue.map(session => ({
+            id: session.id,
+            type: session.type,
+            subject: session.subject,
+            batch: session.batch,
+            size: session.batch === 'All Batches' ? divisionStrength : batchStrength[session.batch]
+        }));
+        console.log('❌ No suitable venue for:', shortages.map(s => s.id));
+        if (!allData.allowPartial) {
+            throw createHttpError(422,
+                `No venue in the dataset fits ${withoutVenue.length} session(s). Check room types, equipment and capacity in the Venue sheet.`,
+                { venueShortages: shortages }
+            );
+        }
+    }
+    
+    // Teaching nobody could be allocated to is left unplaced rather than given a made-up teacher
+    if (allocation.unallocated.length > 0) {
+        console.log('❌ No faculty for:', allocation.unallocated.map(unit => unit.key));
+        if (!allData.allowPartial) {
+            throw createHttpError(422,
+                `No faculty member could be allocated to ${allocation.unallocated.length} course unit(s). ` +
+                'Name them in Load Dist, add the course or expertise to the Faculty sheet, or override the allocation.',
+                { unallocated: allocation.unallocated }
+            );
+        }
+    }
+    
+    if (allData.labRotation) {
+        const blockCount = assignLabRotation(sessions, batches);
+        console.log(`🔄 Lab rotation: ${blockCount} parallel lab blocks for ${batches.length} batches`);
+    }
+    
+    // Library, project and other recurring blocks of the institution policy
+    const grid = buildSolverGrid(dayGrid);
+    const recurring = buildRecurringBlockSessions(allData.policy || DEFAULT_INSTITUTION_POLICY, grid, batches);
+    sessions.push(...recurring.sessions);
+    
+    // Elective baskets shared with other divisions
+    const electiveSessions = buildElectiveSessions(allData.electiveGroups || [], venues, batches, allData.electiveSlots);
+    if (electiveSessions.length > 0) {
+        console.log(`🎓 ${electiveSessions.length} elective sessions from ${allData.electiveGroups.length} elective group(s)`);
+    }
+    sessions.push(...electiveSessions);
+    
+    const theoryCount = sessions.filter(s => s.type === 'theory').length;
+    const tutorialCount = sessions.filter(s => s.type === 'tutorial').length;
+    const labCount = sessions.filter(s => s.type === 'lab').length;
+    console.log(`✅ Created ${theoryCount} theory sessions`);
+    console.log(`✅ Created ${tutorialCount} tutorial sessions`);
+    console.log(`✅ Created ${labCount} lab sessions across ${batches.length} batches`);
+    
+    // Namespace ids and batches so several divisions can be solved together; elective sessions
+    // keep their ids so the divisions of a basket share them
+    const divisionKey = `${allData.branch}${allData.division}`;
+    sessions.forEach(session => {
+        session.division = divisionKey;
+        session.groups = session.groups.map(group => `${divisionKey}:${group}`);
+        if (session.electiveGroup) {
+            session.divisions = [divisionKey];
+            return;
+        }
+        session.id = `${divisionKey}:${session.id}`;
+        if (session.rotationBlock) session.rotationBlock = `${divisionKey}:${session.rotationBlock}`;
+    });
+    
+    return { sessions, grid, timeSlots, divisionKey, allocation, skippedBlocks: recurring.skipped };
+}
+
+// Runs the solver and verifies the result; unplaced sessions are an error unless partial results are allowed
+function solveAndVerify(sessions, grid, { allowPartial, facultyRules, seed = Date.now() } = {}) {
+    const result = solveTimetable(sessions, grid, {
+        random: createSeededRandom(seed),
+        facultyRules,
+        onProgress: progress => reportJobProgress({ stage: 'solving', seed, ...progress })
+    });
+    console.log(`🔍 Solver finished after ${result.steps} steps (seed ${seed})`);
+    
+    // A pinned session that cannot keep its slot stops the search before anything else is placed
+    const stuckPins = result.unplaced.filter(session => session.pinned);
+    if (stuckPins.length > 0) {
+        throw createHttpError(422,
+            `${stuckPins.length} pinned session(s) cannot keep their slot: they clash with another pinned or fixed session or break faculty availability.`,
+            { pinned: stuckPins.map(session => session.id) }
+        );
+    }
+    
+    const unscheduled = summarizeUnscheduled(result);
+    if (!result.complete) {
+        console.log('❌ Could not place:', result.unplaced.map(s => s.id));
+        if (!allowPartial) {
+            throw createInfeasibilityError(result);
+        }
+        console.log(`⚠️ Returning partial timetable with ${unscheduled.length} under-scheduled course entries`);
+    }
+    
+    // Double-check the solution independently of the search
+    const clashes = detectClashes(result.placed);
+    if (clashes.length > 0) {
+        console.error('⚠️ Solver produced clashes:', clashes);
+        throw new Error('Timetable solver produced a clashing schedule.');
+    }
+    
+    return { result, unscheduled };
+}
+
+// Counts the free periods between the first and last busy period of a day
+function countIdlePeriods(periods) {
+    if (periods.size === 0) return 0;
+    const sorted = [...periods].sort((a, b) => a - b);
+    return sorted[sorted.length - 1] - sorted[0] + 1 - sorted.length;
+}
+
+// Lengths of the runs of back-to-back busy periods in a day; a long break ends a run
+function periodRuns(periods, blockOf) {
+    const runs = [];
+    [...periods].sort((a, b) => a - b).forEach((period, index, sorted) => {
+        const continues = index > 0 && sorted[index - 1] === period - 1 &&
+            (!blockOf || blockOf[period] === blockOf[period - 1]);
+        if (continues) runs[runs.length - 1]++; else runs.push(1);
+    });
+    return runs;
+}
+
+// Penalty points per unplaced session, idle period, extra lab on a day and lecture beyond the run limit
+const QUALITY_WEIGHTS = { unplaced: 100, facultyGaps: 1, studentGaps: 2, labClustering: 3, longLectureRuns: 2 };
+
+// Longest run of back-to-back lectures a batch should sit through
+const MAX_CONSECUTIVE_LECTURES = 3;
+
+/**
+ * Scores a solved timetable in penalty points, so lower is better. Counts idle periods between
+ * the first and last session of a faculty member's or batch's day, labs beyond one per batch
+ * per day, and lecture periods beyond MAX_CONSECUTIVE_LECTURES in a row (a long break ends a run).
+ * @param {object[]} placed - Placed solver sessions.
+ * @param {object[]} unplaced - Sessions the solver could not place.
+ * @param {object} grid - Solver grid, for the long breaks.
+ * @returns {{score: number, penalties: object}}
+ */
+function scoreTimetable(placed, unplaced, grid) {
+    const busyPeriods = new Map();
+    const lecturePeriods = new Map();
+    const labsPerDay = new Map();
+    const mark = (map, key, period) => {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(period);
+    };
+    
+    placed.forEach(session => {
+        for (let p = session.period; p < session.period + session.length; p++) {
+            if (!session.shared) mark(busyPeriods, `faculty|${session.faculty}|${session.day}`, p);
+            session.groups.forEach(group => {
+                mark(busyPeriods, `batch|${group}|${session.day}`, p);
+                if (session.type === 'theory' || session.type === 'tutorial') {
+                    mark(lecturePeriods, `${group}|${session.day}`, p);
+                }
+            });
+        }
+        if (session.type === 'lab') {
+            session.groups.forEach(group => {
+                const key = `${group}|${session.day}`;
+                labsPerDay.set(key, (labsPerDay.get(key) || 0) + 1);
+            });
+        }
+    });
+    
+    const penalties = { unplaced: unplaced.length, facultyGaps: 0, studentGaps: 0, labClustering: 0, longLectureRuns: 0 };
+    busyPeriods.forEach((periods, key) => {
+        penalties[key.startsWith('faculty|') ? 'facultyGaps' : 'studentGaps'] += countIdlePeriods(periods);
+    });
+    labsPerDay.forEach(count => {
+        penalties.labClustering += count - 1;
+    });
+    lecturePeriods.forEach(periods => {
+        periodRuns(periods, grid.blockOf).forEach(run => {
+            penalties.longLectureRuns += Math.max(0, run - MAX_CONSECUTIVE_LECTURES);
+        });
+    });
+    
+    const score = Object.entries(penalties).reduce((sum, [name, count]) => sum + QUALITY_WEIGHTS[name] * count, 0);
+    return { score, penalties };
+}
+
+/**
+ * Solves the same sessions with `count` consecutive seeds and ranks the results by quality.
+ * Candidates that hit the search limit are left out; if none succeeds the first error is thrown.
+ * @param {object[]} sessions - Sessions to place.
+ * @param {object} grid - Solver grid.
+ * @param {object} options - `{ seed, count, allowPartial, facultyRules }`.
+ * @returns {object[]} - `{ seed, result, unscheduled, quality }` per candidate, best first.
+ */
+function solveCandidates(sessions, grid, { seed, count = 1, allowPartial, facultyRules }) {
+    const candidates = [];
+    let firstError = null;
+    for (let index = 0; index < count; index++) {
+        const candidateSeed = seed + index;
+        try {
+            const { result, unscheduled } = solveAndVerify(sessions, grid, { allowPartial, facultyRules, seed: candidateSeed });
+            const quality = scoreTimetable(result.placed, result.unplaced, grid);
+            console.log(`🎲 Candidate ${index + 1}/${count} (seed ${candidateSeed}): score ${quality.score}`);
+            candidates.push({ seed: candidateSeed, result, unscheduled, quality });
+        } catch (error) {
+            // Another seed cannot fix data that has no clash-free timetable at all
+            if (!error.status || error.details?.reason !== 'search-limit') throw error;
+            firstError = firstError || error;
+        }
+    }
+    if (candidates.length === 0) throw firstError;
+    return candidates.sort((a, b) => a.quality.score - b.quality.score);
+}
+
+// Turns one division's placed sessions into the structured timetable that is stored and returned
+function formatTimetable(placedSessions, timeSlots, unscheduled, facultyRules, workingDays) {
+    const days = WEEK_DAYS;
+    
+    // Create timetable entries in day/period order
+    const placed = [...placedSessions].sort((a, b) =>
+        days.indexOf(a.day) - days.indexOf(b.day) || a.period - b.period || a.batch.localeCompare(b.batch)
+    );
+    
+    const timetableSessions = buildTimetableSessions(placed, timeSlots, workingDays);
+    
+    // Final statistics
+    const stats = {
+        total: timetableSessions.length,
+        theory: placed.filter(s => s.type === 'theory').length,
+        tutorial: placed.filter(s => s.type === 'tutorial').length,
+        lab: placed.filter(s => s.type === 'lab').length,
+        elective: placed.filter(s => s.type === 'elective').length,
+        library: placed.filter(s => s.type === 'library').length,
+        project: placed.filter(s => s.type === 'project').length
+    };
+    
+    console.log('✅ CONFLICT-FREE TIMETABLE CREATED:');
+    console.log(`   Theory sessions: ${stats.theory}`);
+    console.log(`   Tutorial sessions: ${stats.tutorial}`);
+    console.log(`   Lab sessions: ${stats.lab}`);
+    console.log(`   Elective sessions: ${stats.elective}`);
+    console.log(`   Library hours: ${stats.library}`);
+    console.log(`   Project hours: ${stats.project}`);
+    console.log(`   Total entries: ${stats.total}`);
+    console.log('   Verified: no faculty, venue or batch double-booking ✅');
+    
+    const facultyPreferences = summarizeFacultyPreferences(placed, facultyRules);
+    if (facultyPreferences.total > 0) {
+        console.log(`   Faculty preferences satisfied: ${facultyPreferences.satisfied}/${facultyPreferences.total}`);
+    }
+    
+    return {
+        sessions: timetableSessions,
+        unscheduled,
+        facultyPreferences
+    };
+}
+
+// Returns a copy of a list with `item` moved to the front, if it is in the list
+function preferFirst(list, item) {
+    return list.includes(item) ? [item, ...list.filter(other => other !== item)] : list;
+}
+
+// Makes the solver try a slot, faculty member and venue for a session before any other
+function preferSlot(session, slot, faculty, venue) {
+    session.preferred = slot;
+    session.facultyOptions = preferFirst(session.facultyOptions, faculty);
+    session.venueOptions = preferFirst(session.venueOptions, venue);
+}
+
+/**
+ * Anchors a division's sessions to a stored baseline timetable. Pinned sessions are fixed to
+ * their baseline slot, faculty and venue; every other session that is still in the baseline
+ * tries its old slot, faculty and venue first, so a regeneration moves as little as it can.
+ * @param {object[]} sessions - Sessions from `buildDivisionSessions`.
+ * @param {object} baseline - `{ sessions, pinnedIds }` from `readBaselineTimetable`.
+ */
+function anchorToBaseline(sessions, baseline) {
+    const previousById = new Map(baseline.sessions.map(session => [session.id, session]));
+    const anchored = new Set();
+    
+    sessions.forEach(session => {
+        const previous = previousById.get(session.id);
+        if (!previous || !previous.startPeriod || previous.length !== (session.length || 1)) return;
+        anchored.add(session.id);
+        if (session.fixed) return;
+        
+        const slot = { day: previous.day, period: previous.startPeriod - 1 };
+        if (baseline.pinnedIds.has(session.id)) {
+            session.fixed = slot;
+            session.pinned = true;
+            session.facultyOptions = [previous.faculty];
+            session.venueOptions = [previous.venue];
+        } else {
+            preferSlot(session, slot, previous.faculty, previous.venue);
+        }
+    });
+    
+    const stalePins = [...baseline.pinnedIds].filter(id => !anchored.has(id));
+    if (stalePins.length > 0) {
+        throw createHttpError(422,
+            `${stalePins.length} pinned session(s) no longer match the dataset (course removed, fewer hours or a different lab length).`,
+            { pinned: stalePins }
+        );
+    }
+    console.log(`📌 Regenerating from baseline: ${baseline.pinnedIds.size} pinned, ${anchored.size - baseline.pinnedIds.size} anchored sessions`);
+}
+
+// Generates the timetable of a single division, anchored to `allData.baseline` when given
+function generateReliableTimetable(allData) {
+    console.log('🔧 Creating conflict-free batch-aware timetable...');
+    
+    const plan = buildDivisionSessions(allData);
+    if (allData.baseline) {
+        anchorToBaseline(plan.sessions, allData.baseline);
+    }
+    return solveDivisionPlan(allData, plan);
+}
+
+/**
+ * Solves a division's sessions `allData.candidates` times from `allData.seed` and keeps the
+ * best scoring result.
+ * @param {object} allData - Generator input prepared by `loadDivisionData`.
+ * @param {object} plan - `{ sessions, grid, timeSlots, allocation, skippedBlocks }` from `buildDivisionSessions`.
+ * @returns {object} - The timetable with its `seed`, `quality` and `facultyAllocation`, plus the `candidates` ranking
+ *   and any policy blocks that did not fit the day (`skippedBlocks`).
+ */
+function solveDivisionPlan(allData, { sessions, grid, timeSlots, allocation, skippedBlocks = [] }) {
+    const facultyRules = buildFacultyAvailability(allData.facultyAvailability || []);
+    const ranked = solveCandidates(sessions, grid, {
+        seed: allData.seed ?? Date.now(),
+        count: allData.candidates || 1,
+        allowPartial: allData.allowPartial,
+        facultyRules
+    });
+    const [best] = ranked;
+    
+    return {
+        ...formatTimetable(best.result.placed, timeSlots, best.unscheduled, facultyRules, grid.days),
+        seed: best.seed,
+        quality: best.quality,
+        candidates: ranked.map(candidate => ({ seed: candidate.seed, ...candidate.quality })),
+        facultyAllocation: allocation,
+        ...(skippedBlocks.length > 0 && { skippedBlocks })
+    };
+}
+
+/**
+ * Generates timetables for several divisions in a single solve, so faculty members and
+ * venues shared between divisions are never double-booked and elective groups get the same
+ * slots in every division taking part.
+ * @param {object[]} divisionsData - Generator input for each division, all sharing one day grid.
+ * @param {object} [options] - `{ allowPartial, seed }`.
+ * @returns {{branch: string, division: string, batches: object[], timetable: object}[]}
+ */
+function generateInstitutionTimetables(divisionsData, options = {}) {
+    console.log(`🏫 Creating institution-wide timetable for ${divisionsData.length} divisions...`);
+    
+    // Faculty loads add up across divisions, so maximum weekly loads hold institution-wide
+    const facultyLoads = new Map();
+    divisionsData.forEach(data => { data.facultyLoads = facultyLoads; });
+    const plans = divisionsData.map(data => ({ data, ...buildDivisionSessions(data) }));
+    const sessions = mergeElectiveSessions(plans.flatMap(plan => plan.sessions));
+    console.log(`   Total sessions to place: ${sessions.length}`);
+    
+    
+    // Every division reads the same availability rows, so only count each row once
+    const availabilityRows = new Map();
+    divisionsData.forEach(data => (data.facultyAvailability || []).forEach(row => {
+        availabilityRows.set(JSON.stringify(row), row);
+    }));
+    const facultyRules = buildFacultyAvailability([...availabilityRows.values()]);
+    
+    const { result, unscheduled } = solveAndVerify(sessions, plans[0].grid, {
+        allowPartial: options.allowPartial,
+        facultyRules,
+        seed: options.seed
+    });
+    
+    return plans.map(plan => ({
+        branch: plan.data.branch,
+        division: plan.data.division,
+        batches: plan.data.batchGroups,
+        timetable: {
+            ...formatTimetable(
+                result.placed.filter(session => (session.divisions || [session.division]).includes(plan.divisionKey)),
+                plan.timeSlots,
+                // Elective courses are shared, so each division of the group reports them as its own
+                unscheduled
+                    .filter(entry => (entry.divisions || [entry.division]).includes(plan.divisionKey))
+                    .map(entry => entry.divisions ? { ...entry, division: plan.divisionKey } : entry),
+                facultyRules,
+                plan.grid.days
+            ),
+            facultyAllocation: plan.allocation,
+            ...(plan.skippedBlocks.length > 0 && { skippedBlocks: plan.skippedBlocks })
+        }
+    }));
+}
+
+
+
+
+
+
+
+
+
+// --- Timetable Model ---
+
+// Version of the stored timetable format: 1 = `{headers, rows}` only, 2 = structured sessions
+const TIMETABLE_FORMAT_VERSION = 2;
+
+// Days a session can fall on; Sunday and the other days off only carry a holiday entry
+const SESSION_DAYS = [...WEEK_DAYS, 'Sunday'];
+
+// Session kinds of the structured timetable
+const SESSION_TYPES = ['theory', 'tutorial', 'lab', 'elective', ...RECURRING_BLOCK_TYPES, 'holiday'];
+
+// Columns of the legacy `{headers, rows}` view
+const TIMETABLE_HEADERS = ['Day', 'Time', 'Class/Batch', 'Course Name', 'Faculty', 'Venue'];
+
+// Turns a faculty or room name into a stable id ('Dr. A. Kumar' -> 'dr-a-kumar')
+function toResourceId(name) {
+    if (!name || name === '-') return null;
+    return name.toString().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Builds the structured sessions of a timetable from placed solver sessions.
+ * Each session has a stable `id`, a `day` from SESSION_DAYS, 24-hour `start`/`end`
+ * ('HH:MM'), its 1-based `startPeriod` and `length` in periods, a `type` from SESSION_TYPES,
+ * `batch` (null when the whole division attends), course code/name and faculty/venue ids;
+ * labs of a parallel rotation keep their `rotationBlock`, elective courses their `electiveGroup`
+ * and sessions pinned for regeneration keep `pinned: true`. Every day that is not a working day
+ * gets a holiday entry.
+ * @param {object[]} placedSessions - Solver sessions with `day`, `period`, `faculty` and `venue`, in display order.
+ * @param {object[]} timeSlots - Periods of the day grid.
+ * @param {string[]} [workingDays] - Working days of the institution policy.
+ * @returns {object[]}
+ */
+function buildTimetableSessions(placedSessions, timeSlots, workingDays = DEFAULT_INSTITUTION_POLICY.workingDays) {
+    const sessions = placedSessions.map(session => ({
+        id: session.id,
+        day: session.day,
+        start: timeSlots[session.period].start,
+        end: timeSlots[session.period + session.length - 1].end,
+        startPeriod: session.period + 1,
+        length: session.length,
+        type: session.type,
+        batch: /^all\b/i.test(session.batch) ? null : session.batch,
+        courseCode: session.courseCode || null,
+        courseName: session.courseName || session.subject,
+        facultyId: toResourceId(session.faculty),
+        faculty: session.faculty,
+        venueId: toResourceId(session.venue),
+        venue: session.venue,
+        ...(session.rotationBlock && { rotationBlock: session.rotationBlock }),
+        ...(session.electiveGroup && { electiveGroup: session.electiveGroup }),
+        ...(session.pinned && { pinned: true })
+    }));
+
+    const division = placedSessions[0]?.division;
+    SESSION_DAYS.filter(day => !workingDays.includes(day)).forEach(day => sessions.push({
+        id: `${division ? `${division}:` : ''}HOLIDAY-${day}`,
+        day,
+        start: null,
+        end: null,
+        startPeriod: null,
+        length: 0,
+        type: 'holiday',
+        batch: null,
+        courseCode: null,
+        courseName: 'HOLIDAY',
+        facultyId: null,
+        faculty: null,
+        venueId: null,
+        venue: null
+    }));
+    return sessions;
+}
+
+// Name a session has in the legacy rows, where tutorials and elective courses are marked in the course name
+function legacySubject(session) {
+    if (session.type === 'elective') return `${session.courseName} (ELECTIVE: ${session.electiveGroup})`;
+    return session.type === 'tutorial' ? `${session.courseName} (TUTORIAL)` : session.courseName;
+}
+
+// Elective group a legacy course name is marked with ('Cloud Computing (ELECTIVE: Open Elective I)')
+function legacyElectiveGroup(subject) {
+    return subject.match(/\(elective:\s*(.+)\)$/i)?.[1] || null;
+}
+
+/**
+ * Derives the legacy `{headers, rows}` view from a stored record, for clients of the
+ * original API. Records stored before the structured format already have it.
+ * @param {object} record - Stored timetable record.
+ * @returns {{headers: string[], rows: string[][], unscheduled: object[], facultyPreferences: object}}
+ */
+function toLegacyTimetable(record) {
+    if (!record.sessions) return record.timetable;
+
+    const rows = record.sessions.map(session => session.type === 'holiday'
+        ? [`**${session.day}**`, '-', '-', 'HOLIDAY', '-', '-']
+        : [
+            `**${session.day}**`,
+            `${formatClockLabel(parseClockTime(session.start))}-${formatClockLabel(parseClockTime(session.end))}`,
+            session.batch || 'All Batches',
+            legacySubject(session),
+            session.faculty || '-',
+            session.venue || '-'
+        ]
+    );
+    return {
+        headers: TIMETABLE_HEADERS,
+        rows,
+        unscheduled: record.unscheduled || [],
+        facultyPreferences: record.facultyPreferences
+    };
+}
+
+// Adds the legacy `timetable` view to a stored record
+function withLegacyView(record) {
+    return record.sessions ? { ...record, timetable: toLegacyTimetable(record) } : record;
+}
+
+// Guesses the structured type of a legacy row from its course name and batch
+function legacyRowType(subject, batch) {
+    if (/^library/i.test(subject)) return 'library';
+    if (/^project/i.test(subject)) return 'project';
+    if (/^mentor/i.test(subject)) return 'mentoring';
+    if (/^sports?\b/i.test(subject)) return 'sports';
+    if (/\(tutorial\)$/i.test(subject)) return 'tutorial';
+    if (legacyElectiveGroup(subject)) return 'elective';
+    return /^all\b/i.test(batch) ? 'theory' : 'lab';
+}
+
+/**
+ * Returns the structured sessions of a stored record, converting the rows of records
+ * stored before the structured format (course codes and periods are not known for those).
+ * @param {object} record - Stored timetable record.
+ * @returns {object[]}
+ */
+function recordSessions(record) {
+    if (record.sessions) return record.sessions;
+
+    const { entries } = parseTimetableEntries(record.timetable?.rows || []);
+    const sessions = entries.map(entry => ({
+        id: `row-${entry.row}`,
+        day: entry.day,
+        start: formatClockTime(entry.start),
+        end: formatClockTime(entry.end),
+        startPeriod: null,
+        length: null,
+        type: entry.type,
+        batch: /^all\b/i.test(entry.batch) ? null : entry.batch,
+        courseCode: null,
+        courseName: entry.subject.replace(/\s*\(tutorial\)$/i, ''),
+        facultyId: toResourceId(entry.faculty),
+        faculty: entry.faculty === '-' ? null : entry.faculty,
+        venueId: toResourceId(entry.venue),
+        venue: entry.venue === '-' ? null : entry.venue
+    }));
+    if ((record.timetable?.rows || []).some(row => String(row[3]).toUpperCase() === 'HOLIDAY')) {
+        sessions.push({
+            id: 'HOLIDAY-Sunday', day: 'Sunday', start: null, end: null, startPeriod: null, length: 0,
+            type: 'holiday', batch: null, courseCode: null, courseName: 'HOLIDAY',
+            facultyId: null, faculty: null, venueId: null, venue: null
+        });
+    }
+    return sessions;
+}
+
+// Timed entries of a stored record in the shape `parseTimetableEntries` returns, plus the session id
+function timetableEntries(record) {
+    return recordSessions(record).map((session, index) => ({ session, index }))
+        .filter(({ session }) => session.type !== 'holiday')
+        .map(({ session, index }) => {
+            const start = parseClockTime(session.start);
+            const end = parseClockTime(session.end);
+            return {
+                id: session.id,
+                row: index,
+                division: record.branch ? `${record.branch}${record.division}` : null,
+                type: session.type,
+                day: session.day,
+                time: `${formatClockLabel(start)}-${formatClockLabel(end)}`,
+                start,
+                end,
+                batch: session.batch || 'All Batches',
+                subject: legacySubject(session),
+                faculty: session.faculty || '-',
+                venue: session.venue || '-',
+                electiveGroup: session.electiveGroup || null
+            };
+        });
+}
+
+// Shapes a stored record for the v2 API: its id, the structured sessions and no legacy rows;
+// `active` (the active timetable id per division) adds whether it is the active version
+function toV2Timetable(record, active) {
+    const { timetable, filename, ...rest } = record;
+    return {
+        id: filename ? timetableId(filename) : null,
+        ...rest,
+        ...(active && filename && { active: active[divisionVersionKey(record)] === timetableId(filename) }),
+        formatVersion: TIMETABLE_FORMAT_VERSION,
+        sessions: recordSessions(record),
+        unscheduled: record.unscheduled || timetable?.unscheduled || [],
+        facultyPreferences: record.facultyPreferences || timetable?.facultyPreferences || null
+    };
+}
+
+// --- Timetable Validation ---
+
+// Parses a row time such as '9:00-10:00' or '2:30-3:30' into minutes; afternoon labels carry no AM/PM
+function parseTimeRange(label) {
+    const parts = String(label).split('-').map(part => part.trim());
+    if (parts.length !== 2) return null;
+
+    const toMinutes = part => {
+        const minutes = parseClockTime(part);
+        if (minutes === null) return null;
+        // '2:30' in a college timetable is 2:30 PM
+        return !/[ap]m/i.test(part) && minutes < 7 * 60 ? minutes + 12 * 60 : minutes;
+    };
+    const start = toMinutes(parts[0]);
+    let end = toMinutes(parts[1]);
+    if (start === null || end === null) return null;
+    if (end <= start) end += 12 * 60;
+    return { start, end };
+}
+
+/**
+ * Reads timetable rows from an uploaded workbook or CSV, using a 'Sessions' or 'Timetable'
+ * sheet when there is one and the first sheet otherwise.
+ * @param {object} workbook - Workbook read by xlsx.
+ * @returns {string[][]} - Rows in the `[Day, Time, Class/Batch, Course Name, Faculty, Venue]` order.
+ */
+function readTimetableSheet(workbook) {
+    const sheetName = workbook.SheetNames.find(name => ['sessions', 'timetable'].includes(name.toLowerCase())) ||
+        workbook.SheetNames[0];
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName] || {});
+    if (rows.length > 0 && readField(rows[0], FIELD_NAMES.day) === undefined) {
+        throw createHttpError(400, `Sheet "${sheetName}" needs Day, Time, Class/Batch, Course Name, Faculty and Venue columns.`);
+    }
+
+    return rows.map(row => [
+        FIELD_NAMES.day, FIELD_NAMES.time, FIELD_NAMES.sessionBatch,
+        FIELD_NAMES.sessionCourse, FIELD_NAMES.faculty, FIELD_NAMES.venueName
+    ].map(names => (readField(row, names) ?? '-').toString().trim()));
+}
+
+/**
+ * Turns `{headers, rows}` timetable rows into timed entries, skipping holiday rows.
+ * @param {string[][]} rows - Rows in the `[Day, Time, Class/Batch, Course Name, Faculty, Venue]` order.
+ * @returns {{entries: object[], invalid: object[]}} - `invalid` lists rows whose day or time cannot be read.
+ */
+function parseTimetableEntries(rows) {
+    const entries = [];
+    const invalid = [];
+
+    rows.forEach((row, index) => {
+        const [dayCell, time, batch, subject, faculty, venue] = (row || []).map(cell => (cell ?? '').toString().trim());
+        if (!subject || subject.toUpperCase() === 'HOLIDAY' || time === '-') return;
+
+        const day = parseDayName((dayCell || '').replace(/\*/g, ''));
+        const range = parseTimeRange(time);
+        if (!day || !range) {
+            invalid.push({
+                type: 'invalid-row',
+                row: index,
+                message: `Row ${index + 1} has an unreadable day "${dayCell}" or time "${time}".`
+            });
+            return;
+        }
+        entries.push({
+            row: index, type: legacyRowType(subject, batch), day, time, ...range, batch, subject, faculty, venue,
+            electiveGroup: legacyElectiveGroup(subject)
+        });
+    });
+
+    return { entries, invalid };
+}
+
+// Faculty and venue cells that do not name a real resource
+const isBlankResource = value => !value || value === '-';
+
+// Library, project and other recurring blocks use staff and rooms that every division shares
+const isSharedSession = entry => RECURRING_BLOCK_TYPES.includes(entry.type);
+
+/**
+ * Lists the faculty, venue and batch clashes between two timetable entries.
+ * @param {object} a - Entry from `parseTimetableEntries` or `timetableEntries`.
+ * @param {object} b - Another entry.
+ * @param {Function|null} batchesOf - Expands an entry's batch label ('All Batches') into batch
+ *   names; null skips the batch check, e.g. for entries of different divisions.
+ * @returns {object[]} - Violations as returned by `findTimetableViolations`.
+ */
+function findPairClashes(a, b, batchesOf) {
+    if (a.day !== b.day || a.start >= b.end || b.start >= a.end) return [];
+
+    const same = (x, y) => x.toLowerCase() === y.toLowerCase();
+    const label = entry => a.division !== b.division ? `${entry.subject} (${entry.division})` : entry.subject;
+    const base = {
+        day: a.day,
+        time: a.time,
+        rows: [a.row, b.row],
+        ...(a.id && b.id && { sessionIds: [a.id, b.id] }),
+        sessions: [a.subject, b.subject]
+    };
+    const clashes = [];
+    // Students attend one course of an elective group, and the same course in another
+    // division's timetable is the same class
+    const sameElective = a.electiveGroup && b.electiveGroup && same(a.electiveGroup, b.electiveGroup);
+
+    if (!isSharedSession(a) && !isSharedSession(b) && !(sameElective && same(a.subject, b.subject))) {
+        if (!isBlankResource(a.faculty) && same(a.faculty, b.faculty)) {
+            clashes.push({ type: 'faculty-clash', resource: a.faculty, ...base,
+                message: `${a.faculty} teaches ${label(a)} and ${label(b)} at the same time on ${a.day}.` });
+        }
+        if (!isBlankResource(a.venue) && same(a.venue, b.venue)) {
+            clashes.push({ type: 'venue-clash', resource: a.venue, ...base,
+                message: `${a.venue} hosts ${label(a)} and ${label(b)} at the same time on ${a.day}.` });
+        }
+    }
+    if (batchesOf && !sameElective) {
+        const sharedBatches = batchesOf(a).filter(batch => batchesOf(b).some(other => same(batch, other)));
+        if (sharedBatches.length > 0 || same(a.batch, b.batch)) {
+            const resource = sharedBatches.length > 0 ? sharedBatches.join(', ') : a.batch;
+            clashes.push({ type: 'batch-clash', resource, ...base,
+                message: `${resource} ${sharedBatches.length > 1 ? 'have' : 'has'} ${label(a)} and ${label(b)} at the same time on ${a.day}.` });
+        }
+    }
+    return clashes;
+}
+
+/**
+ * Checks timetable entries for double-booked faculty, venues and batches and, when the
+ * division's dataset is known, for load shortfalls, unknown venues and reserved slots.
+ * @param {object[]} entries - Entries from `parseTimetableEntries`.
+ * @param {object} context - `{ batches, expected, knownVenues, reserved }`; dataset-based
+ *   parts may be missing, in which case those checks are skipped.
+ * @returns {object[]} - Violations, each with a `type`, the `rows` involved and a `message`.
+ */
+function findTimetableViolations(entries, context = {}) {
+    const violations = [];
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const isAllBatches = label => /^all\b/i.test(label);
+
+    // 'All Batches' rows occupy every batch of the division
+    const knownBatches = context.batches?.length > 0
+        ? context.batches
+        : [...new Set(entries.map(entry => entry.batch).filter(batch => !isAllBatches(batch)))];
+    const batchesOf = entry => isAllBatches(entry.batch) ? knownBatches : [entry.batch];
+
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            violations.push(...findPairClashes(entries[i], entries[j], batchesOf));
+        }
+    }
+
+    if (context.expected) {
+        const placedHours = new Map();
+        entries.forEach(entry => {
+            const key = `${entry.subject}|${entry.batch}`.toLowerCase();
+            const hours = Math.round((entry.end - entry.start) / context.periodLength);
+            placedHours.set(key, (placedHours.get(key) || 0) + hours);
+        });
+        context.expected.forEach(load => {
+            const placed = placedHours.get(`${load.subject}|${load.batch}`.toLowerCase()) || 0;
+            if (placed < load.requiredHours) {
+                violations.push({
+                    type: 'load-shortfall',
+                    course: load.subject,
+                    courseType: load.courseType,
+                    batch: load.batch,
+                    requiredHours: load.requiredHours,
+                    placedHours: placed,
+                    missingHours: load.requiredHours - placed,
+                    rows: [],
+                    message: `${load.subject} (${load.batch}) has ${placed} of ${load.requiredHours} weekly hours.`
+                });
+            }
+        });
+    }
+
+    if (context.knownVenues) {
+        entries.filter(entry => !isBlankResource(entry.venue) &&
+            !context.knownVenues.some(venue => same(venue, entry.venue))
+        ).forEach(entry => violations.push({
+            type: 'unknown-venue',
+            resource: entry.venue,
+            day: entry.day,
+            time: entry.time,
+            rows: [entry.row],
+            message: `${entry.venue} (${entry.subject}) is not in the Venue sheet.`
+        }));
+    }
+
+    if (context.reserved) {
+        entries.forEach(entry => {
+            // A slot reserved for one batch only blocks that batch and whole-division sessions
+            context.reserved.filter(slot =>
+                slot.day === entry.day && entry.start < slot.end && slot.start < entry.end &&
+                !same(slot.reservedFor, entry.subject) &&
+                (!slot.batch || /^all\b/i.test(entry.batch) || same(slot.batch, entry.batch))
+            ).forEach(slot => violations.push({
+                type: 'reserved-slot',
+                reservedFor: slot.reservedFor,
+                day: entry.day,
+                time: entry.time,
+                rows: [entry.row],
+                message: `${entry.subject} on ${entry.day} ${entry.time} overlaps the ${slot.reservedFor} slot.`
+            }));
+        });
+    }
+
+    return violations;
+}
+
+/**
+ * Derives what a division's timetable has to contain from its dataset: batches, weekly
+ * hours per course and batch, the venues that exist and the slots reserved for long breaks,
+ * days off and the recurring blocks of the institution policy.
+ * @param {object} timetableData - Division data from `loadDivisionData`, with its `dayGrid`.
+ * @returns {object} - Validation context for `findTimetableViolations`.
+ */
+function buildValidationContext(timetableData) {
+    const dayGrid = timetableData.dayGrid;
+    const { sessions, timeSlots } = buildDivisionSessions({ ...timetableData, allowPartial: true });
+
+    const expected = new Map();
+    sessions.forEach(session => {
+        const key = `${session.subject}|${session.batch}`;
+        const entry = expected.get(key) || { subject: session.subject, batch: session.batch, courseType: session.type, requiredHours: 0 };
+        entry.requiredHours += session.length || 1;
+        expected.set(key, entry);
+    });
+
+    const toMinutes = time => parseClockTime(time);
+    const reserved = sessions.filter(session => session.fixed).map(session => ({
+        day: session.fixed.day,
+        start: toMinutes(timeSlots[session.fixed.period].start),
+        end: toMinutes(timeSlots[session.fixed.period + (session.length || 1) - 1].end),
+        reservedFor: session.subject,
+        ...(session.batch !== 'All Batches' && { batch: session.batch })
+    }));
+    // Sessions may run across a short break but never across a long one
+    const longBreaks = dayGrid.breaks.filter(breakInfo => breakInfo.kind === 'long');
+    WEEK_DAYS.forEach(day => longBreaks.forEach(breakInfo => reserved.push({
+        day,
+        start: toMinutes(breakInfo.start),
+        end: toMinutes(breakInfo.end),
+        reservedFor: `${breakInfo.kind} break`
+    })));
+    
+    // Days off and the second half of half days have no teaching periods
+    const grid = buildSolverGrid(dayGrid);
+    WEEK_DAYS.filter(day => grid.periodsPerDay[day] < timeSlots.length).forEach(day => reserved.push({
+        day,
+        start: toMinutes(grid.periodsPerDay[day] > 0 ? timeSlots[grid.periodsPerDay[day] - 1].end : timeSlots[0].start),
+        end: toMinutes(timeSlots[timeSlots.length - 1].end),
+        reservedFor: grid.periodsPerDay[day] > 0 ? 'half-day afternoon' : 'day-off'
+    }));
+
+    const fixedVenues = sessions.filter(session => session.shared || session.electiveGroup).flatMap(session => session.venueOptions).filter(Boolean);
+
+    return {
+        batches: timetableData.batchGroups.map(batch => batch.name),
+        expected: [...expected.values()],
+        knownVenues: [...new Set([...buildVenues(timetableData.venues).map(venue => venue.name), ...fixedVenues])],
+        reserved,
+        periodLength: dayGrid.periodLength
+    };
+}
+
+// --- Schedule Views ---
+
+/**
+ * Keeps the active version of each branch/division (the newest when none is marked active),
+ * so older versions of a division are not counted twice.
+ * @param {object[]} records - Stored timetable records with `branch`, `division` and `generatedAt`.
+ * @param {object} [active] - Active timetable id per division, from `readActiveTimetables`.
+ * @returns {object[]}
+ */
+function currentTimetablePerDivision(records, active = {}) {
+    const current = new Map();
+    records.forEach(record => {
+        const key = divisionVersionKey(record);
+        const chosen = current.get(key);
+        if (chosen && active[key] === timetableId(chosen.filename)) return;
+        if (!chosen || active[key] === timetableId(record.filename) ||
+            new Date(record.generatedAt) > new Date(chosen.generatedAt)) {
+            current.set(key, record);
+        }
+    });
+    return [...current.values()];
+}
+
+/**
+ * Collects every session of a faculty member or room from stored timetables into one week.
+ * @param {object[]} records - Stored timetable records.
+ * @param {'faculty'|'venue'} field - Which column to match.
+ * @param {string} name - Faculty name or room, compared without regard to case.
+ * @param {string|null} [day] - Only include this day.
+ * @returns {{sessions: number, hours: number, timetables: string[], week: object}} - `week` maps each
+ *   day to its sessions in time order, each with the division and batch it belongs to; an elective
+ *   course shared by several divisions is listed once, with all of its `divisions`.
+ */
+function buildResourceSchedule(records, field, name, day = null) {
+    const week = Object.fromEntries(WEEK_DAYS.filter(d => !day || d === day).map(d => [d, []]));
+    const timetables = new Set();
+    const electiveClasses = new Map();
+    let minutes = 0;
+
+    records.forEach(record => {
+        const entries = timetableEntries(record);
+        entries.filter(entry => entry[field].toLowerCase() === name.toLowerCase() && week[entry.day])
+            .forEach(entry => {
+                // An elective course shared by several divisions is one class
+                const classKey = entry.electiveGroup && `${entry.subject}|${entry.day}|${entry.start}`.toLowerCase();
+                if (electiveClasses.has(classKey)) {
+                    electiveClasses.get(classKey).divisions.push(entry.division);
+                    timetables.add(record.filename);
+                    return;
+                }
+                const scheduled = {
+                    time: entry.time,
+                    start: formatClockTime(entry.start),
+                    end: formatClockTime(entry.end),
+                    branch: record.branch,
+                    division: record.division,
+                    batch: entry.batch,
+                    subject: entry.subject,
+                    faculty: entry.faculty,
+                    venue: entry.venue,
+                    timetable: record.filename,
+                    ...(classKey && { divisions: [entry.division] })
+                };
+                if (classKey) electiveClasses.set(classKey, scheduled);
+                week[entry.day].push(scheduled);
+                minutes += entry.end - entry.start;
+                timetables.add(record.filename);
+            });
+    });
+
+    Object.values(week).forEach(sessions => sessions.sort((a, b) => a.start.localeCompare(b.start)));
+    return {
+        sessions: Object.values(week).reduce((sum, sessions) => sum + sessions.length, 0),
+        hours: Math.round(minutes / 60 * 100) / 100,
+        timetables: [...timetables],
+        week
+    };
+}
+
+// --- Manual Edits ---
+
+// Orders structured sessions by day, start time and batch, the way timetables are shown
+function sortTimetableSessions(sessions) {
+    return [...sessions].sort((a, b) =>
+        SESSION_DAYS.indexOf(a.day) - SESSION_DAYS.indexOf(b.day) ||
+        (a.start || '').localeCompare(b.start || '') ||
+        (a.batch || '').localeCompare(b.batch || '')
+    );
+}
+
+// Sessions that share their slot with others (elective baskets, parallel lab blocks) cannot move on their own
+function assertMovable(session) {
+    if (session.type === 'elective') {
+        throw createHttpError(422,
+            `${session.courseName} belongs to the elective group "${session.electiveGroup}", which runs in the same slot ` +
+            'in every division taking part; change the group or regenerate instead.');
+    }
+    if (session.rotationBlock) {
+        const block = session.rotationBlock.slice(session.rotationBlock.indexOf(':') + 1);
+        throw createHttpError(422,
+            `${session.courseName} (${session.batch}) runs in parallel lab block ${block} with the other batches' labs; ` +
+            'moving it alone would split the block, so regenerate instead.');
+    }
+}
+
+// Elective courses keep the faculty and venue of their group in every division taking part,
+// so they are changed through the elective groups rather than one division's timetable
+function assertReassignable(session) {
+    if (session.type === 'elective') {
+        throw createHttpError(422,
+            `${session.courseName} belongs to the elective group "${session.electiveGroup}", which every division taking part ` +
+            'shares; change its faculty or venue in the elective groups and regenerate instead.');
+    }
+}
+
+/**
+ * Moves a structured session to another day and start period, keeping its length.
+ * Rejects slots outside the day (the missing half of half days, days off) and multi-period sessions
+ * that would run across the long break, like the solver does. Elective courses and the labs of a
+ * parallel rotation block cannot be moved on their own (see `assertMovable`).
+ * @param {object} session - Structured session.
+ * @param {object} dayGrid - Day grid stored with the timetable.
+ * @param {string} day - Day from WEEK_DAYS.
+ * @param {number} startPeriod - 1-based period the session should start in.
+ * @returns {object} - The moved copy of the session.
+ */
+function moveSession(session, dayGrid, day, startPeriod) {
+    const grid = buildSolverGrid(dayGrid);
+    const period = Number(startPeriod) - 1;
+    const length = session.length || 1;
+
+    assertMovable(session);
+    if (!Number.isInteger(period) || period < 0 || period + length > grid.periodsPerDay[day]) {
+        throw createHttpError(422,
+            `${session.courseName} (${length} period${length === 1 ? '' : 's'}) does not fit from period ${startPeriod} on ${day}, ` +
+            `which has ${grid.periodsPerDay[day]} periods.`);
+    }
+    if (grid.blockOf[period] !== grid.blockOf[period + length - 1]) {
+        throw createHttpError(422, `${session.courseName} would run across the long break on ${day}.`);
+    }
+
+    return {
+        ...session,
+        day,
+        startPeriod: period + 1,
+        start: dayGrid.slots[period].start,
+        end: dayGrid.slots[period + length - 1].end
+    };
+}
+
+/**
+ * Finds the clashes edited sessions cause: faculty, venue and batch clashes within their
+ * own timetable, and faculty and venue clashes with the other divisions' timetables.
+ * @param {object} record - Timetable being edited.
+ * @param {object[]} sessions - Its sessions after the edit.
+ * @param {string[]} changedIds - Ids of the sessions the edit changed.
+ * @param {object[]} otherRecords - Current timetables of the other divisions.
+ * @returns {object[]} - Clashes as returned by `findPairClashes`.
+ */
+function findEditConflicts(record, sessions, changedIds, otherRecords) {
+    const entries = timetableEntries({ ...record, sessions });
+    const batches = record.batches?.map(batch => batch.name) ||
+        [...new Set(sessions.map(session => session.batch).filter(Boolean))];
+    const batchesOf = entry => /^all\b/i.test(entry.batch) ? batches : [entry.batch];
+    const others = otherRecords.flatMap(timetableEntries);
+
+    const changed = entries.filter(entry => changedIds.includes(entry.id));
+    const conflicts = [];
+    changed.forEach((entry, index) => {
+        // Pairs of changed sessions are compared once
+        const checked = new Set(changed.slice(0, index + 1).map(other => other.id));
+        entries.filter(other => !checked.has(other.id))
+            .forEach(other => conflicts.push(...findPairClashes(entry, other, batchesOf)));
+        others.forEach(other => conflicts.push(...findPairClashes(entry, other, null)));
+    });
+    return conflicts;
+}
+
+// --- Change Requests ---
+
+// Structured changes a natural-language change request can turn into
+const CHANGE_ACTIONS = ['move', 'reassign', 'faculty-unavailable'];
+
+/**
+ * Checks a structured change, as made by a provider from an instruction or sent back for
+ * approval. `match` picks sessions by course, batch, type, faculty and slots; slots use the
+ * faculty availability syntax ('Fri', 'Fri 4-6').
+ * @param {object} change - `{ action, match, to, avoid, faculty, venue, slots }`.
+ * @returns {object} - The change with only the fields its action uses.
+ */
+function normalizeChange(change) {
+    if (!change || !CHANGE_ACTIONS.includes(change.action)) {
+        throw createHttpError(400, `A change needs an "action" of ${CHANGE_ACTIONS.join(', ')}.`);
+    }
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+    
+    if (change.action === 'faculty-unavailable') {
+        const faculty = text(change.faculty);
+        const slots = text(change.slots);
+        if (!faculty || !slots) {
+            throw createHttpError(400, 'A "faculty-unavailable" change needs "faculty" and "slots".');
+        }
+        parseSlotList(slots, 'slots');
+        return { action: change.action, faculty, slots };
+    }
+    
+    const match = Object.fromEntries(['course', 'batch', 'type', 'faculty', 'slots']
+        .map(field => [field, text(change.match?.[field])])
+        .filter(([, value]) => value));
+    if (Object.keys(match).length === 0) {
+        throw createHttpError(400, 'A change needs a "match" saying which sessions it is about.');
+    }
+    if (match.slots) parseSlotList(match.slots, 'match.slots');
+    
+    if (change.action === 'reassign') {
+        const faculty = text(change.faculty);
+        const venue = text(change.venue);
+        if (!faculty && !venue) {
+            throw createHttpError(400, 'A "reassign" change needs a new "faculty" or "venue".');
+        }
+        return { action: change.action, match, ...(faculty && { faculty }), ...(venue && { venue }) };
+    }
+    
+    const day = text(change.to?.day);
+    const to = day || change.to?.startPeriod ? { day: day ? parseDayName(day) : null, startPeriod: change.to.startPeriod ?? null } : null;
+    if (day && !to.day) {
+        throw createHttpError(400, `Unknown day "${day}" in the move target.`);
+    }
+    const avoid = text(change.avoid);
+    if (avoid) parseSlotList(avoid, 'avoid');
+    if (!to && !avoid) {
+        throw createHttpError(400, 'A "move" change needs a target "to" or the slots to "avoid".');
+    }
+    return { action: change.action, match, ...(to && { to }), ...(avoid && { avoid }) };
+}
+
+// 0-based periods a structured session takes
+function sessionPeriods(session) {
+    return Array.from({ length: session.length || 1 }, (_, offset) => session.startPeriod - 1 + offset);
+}
+
+// Sessions of a timetable a change's `match` picks; recurring blocks (library, project, ...) are never picked
+function findChangeSessions(record, match) {
+    const lower = value => String(value || '').toLowerCase();
+    const slots = match.slots ? parseSlotList(match.slots, 'match.slots') : null;
+    const inBatch = batch => batch && (batchMatches(match.batch, batch) || batch.match(/(\d+)$/)?.[1] === match.batch);
+    
+    return record.sessions.filter(session =>
+        session.type !== 'holiday' && !isSharedSession(session) &&
+        (!match.course || lower(session.courseName).includes(lower(match.course)) || lower(session.courseCode) === lower(match.course)) &&
+        (!match.type || session.type === lower(match.type)) &&
+        (!match.batch || inBatch(session.batch)) &&
+        (!match.faculty || lower(session.faculty).includes(lower(match.faculty))) &&
+        (!slots || sessionPeriods(session).some(period => slots.some(slot => slotMatches(slot, session.day, period))))
+    );
+}
+
+/**
+ * Works out what a structured change does to a timetable, without storing anything. Moves
+ * with a target go there; other moves take each session out of the avoided slots into the
+ * first conflict-free slot, trying its own day first. A faculty member who becomes unavailable
+ * has their sessions in those slots moved the same way.
+ * @param {object} record - Structured timetable.
+ * @param {object} change - Change from `normalizeChange`.
+ * @param {object[]} otherRecords - Current timetables of the other divisions.
+ * @returns {{sessions: object[], matched: string[], changedIds: string[], conflicts: object[],
+ *   unresolved: object[], constraint: object|null}}
+ */
+function planTimetableChange(record, change, otherRecords) {
+    const isConstraint = change.action === 'faculty-unavailable';
+    const match = isConstraint ? { faculty: change.faculty, slots: change.slots } : change.match;
+    const targets = findChangeSessions(record, match);
+    if (targets.length === 0 && !isConstraint) {
+        throw createHttpError(422, 'No session of the timetable matches the change.', { change });
+    }
+    
+    const grid = buildSolverGrid(record.dayGrid);
+    const avoidSlots = parseSlotList(isConstraint ? change.slots : change.avoid, 'avoid');
+    const isAvoided = (day, periods) => periods.some(period => avoidSlots.some(slot => slotMatches(slot, day, period)));
+    let sessions = record.sessions;
+    const changedIds = [];
+    const unresolved = [];
+    const replace = updated => {
+        sessions = sessions.map(session => session.id === updated.id ? updated : session);
+        changedIds.push(updated.id);
+    };
+    
+    // First slot outside the avoided ones that clashes with nothing, starting on the session's own day
+    const findFreeSlot = target => {
+        for (const day of [target.day, ...grid.days.filter(other => other !== target.day)]) {
+            for (let period = 0; period < grid.periodsPerDay[day]; period++) {
+                let moved;
+                try {
+                    moved = moveSession(target, record.dayGrid, day, period + 1);
+                } catch (fitError) {
+                    continue;
+                }
+                if (isAvoided(day, sessionPeriods(moved))) continue;
+                const trial = sessions.map(session => session.id === target.id ? moved : session);
+                if (findEditConflicts(record, trial, [target.id], otherRecords).length === 0) return moved;
+            }
+        }
+        return null;
+    };
+    
+    targets.forEach(target => {
+        if (change.action === 'reassign') {
+            assertReassignable(target);
+            let edited = target;
+            for (const field of ['faculty', 'venue']) {
+                if (change[field]) edited = { ...edited, [field]: change[field], [`${field}Id`]: toResourceId(change[field]) };
+            }
+            replace(edited);
+        } else if (change.to) {
+            replace(moveSession(target, record.dayGrid, change.to.day || target.day, change.to.startPeriod ?? target.startPeriod));
+        } else if (isAvoided(target.day, sessionPeriods(target))) {
+            try {
+                assertMovable(target);
+            } catch (blockedError) {
+                unresolved.push({ sessionId: target.id, reason: blockedError.message });
+                return;
+            }
+            const moved = findFreeSlot(target);
+            if (moved) {
+                replace(moved);
+            } else {
+                unresolved.push({ sessionId: target.id, reason: 'No conflict-free slot outside the avoided slots.' });
+            }
+        }
+    });
+    
+    return {
+        sessions: sortTimetableSessions(sessions),
+        matched: targets.map(target => target.id),
+        changedIds,
+        conflicts: changedIds.length > 0 ? findEditConflicts(record, sessions, changedIds, otherRecords) : [],
+        unresolved,
+        constraint: isConstraint ? { faculty: change.faculty, unavailable: change.slots } : null
+    };
+}
+
+// --- Timetable Versions ---
+
+/**
+ * Orders the stored versions of one branch/division, oldest first, marking the active one.
+ * @param {object[]} records - Stored timetable records of the division.
+ * @param {object} active - Active timetable id per division.
+ * @returns {object[]}
+ */
+function buildTimetableLineage(records, active) {
+    const [current] = currentTimetablePerDivision(records, active);
+    return records
+        .map(record => ({
+            id: timetableId(record.filename),
+            version: record.version || null,
+            parentId: record.parentId || null,
+            generatedAt: record.generatedAt,
+            runId: record.runId || null,
+            sessions: recordSessions(record).filter(session => session.type !== 'holiday').length,
+            unscheduled: (record.unscheduled || record.timetable?.unscheduled || []).length,
+            edits: (record.edits || []).length,
+            active: record === current
+        }))
+        .sort((a, b) => (a.version ?? 0) - (b.version ?? 0) || new Date(a.generatedAt) - new Date(b.generatedAt));
+}
+
+// Fields of a session shown in a timetable diff
+function diffSession(session) {
+    const { id, type, courseCode, courseName, batch, day, start, end, faculty, venue } = session;
+    return { id, type, courseCode, courseName, batch, day, start, end, faculty, venue };
+}
+
+/**
+ * Compares two timetables of the same division. Sessions are paired first when they are
+ * identical, then when they sit in the same slot, then by id, then by course and batch;
+ * paired sessions in another slot are moved, unpaired ones are added or removed.
+ * @param {object} fromRecord - The older (base) timetable.
+ * @param {object} toRecord - The newer timetable.
+ * @returns {object} - `{ summary, added, removed, moved, facultyChanged, venueChanged }`.
+ */
+function diffTimetables(fromRecord, toRecord) {
+    const teaching = record => recordSessions(record).filter(session => session.type !== 'holiday');
+    const removed = teaching(fromRecord);
+    const added = teaching(toRecord);
+    const pairs = [];
+    
+    const sameCourse = (a, b) => a.type === b.type && a.courseName === b.courseName && (a.batch || null) === (b.batch || null);
+    const sameSlot = (a, b) => sameCourse(a, b) && a.day === b.day && a.start === b.start && a.end === b.end;
+    const matchers = [
+        (a, b) => sameSlot(a, b) && a.faculty === b.faculty && a.venue === b.venue,
+        sameSlot,
+        (a, b) => !a.id.startsWith('row-') && a.id === b.id,
+        sameCourse
+    ];
+    
+    matchers.forEach(matches => {
+        for (let i = 0; i < removed.length; i++) {
+            const index = added.findIndex(candidate => matches(removed[i], candidate));
+            if (index === -1) continue;
+            pairs.push([removed[i], added[index]]);
+            removed.splice(i--, 1);
+            added.splice(index, 1);
+        }
+    });
+    
+    const slotOf = session => ({ day: session.day, start: session.start, end: session.end });
+    const moved = [];
+    const facultyChanged = [];
+    const venueChanged = [];
+    let unchanged = 0;
+    pairs.forEach(([before, after]) => {
+        if (sameSlot(before, after) && before.faculty === after.faculty && before.venue === after.venue) {
+            unchanged++;
+            return;
+        }
+        if (before.day !== after.day || before.start !== after.start || before.end !== after.end) {
+            moved.push({ session: diffSession(after), from: slotOf(before), to: slotOf(after) });
+        }
+        if (before.faculty !== after.faculty) {
+            facultyChanged.push({ session: diffSession(after), from: before.faculty, to: after.faculty });
+        }
+        if (before.venue !== after.venue) {
+            venueChanged.push({ session: diffSession(after), from: before.venue, to: after.venue });
+        }
+    });
+    
+    return {
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            moved: moved.length,
+            facultyChanged: facultyChanged.length,
+            venueChanged: venueChanged.length,
+            unchanged
+        },
+        added: added.map(diffSession),
+        removed: removed.map(diffSession),
+        moved,
+        facultyChanged,
+        venueChanged
+    };
+}
+
+// --- Timetable Metrics ---
+
+/**
+ * Weekly hours Load Dist gives each faculty member of a division. Lecture hours go to the
+ * named lecturer; tutorial and practical hours of a batch go to the faculty member the
+ * generator offers that batch first.
+ * @param {object[]} courseLoads - Courses from `buildCourseLoads`.
+ * @param {string[]} batchNames - Batches of the division.
+ * @returns {Map<string, number>}
+ */
+function loadDistFacultyHours(courseLoads, batchNames) {
+    const hours = new Map();
+    const add = (name, value) => {
+        if (name && value > 0) hours.set(name, (hours.get(name) || 0) + value);
+    };
+    
+    courseLoads.filter(course => course.fromLoadDist).forEach(course => {
+        course.theory.forEach(load => add(load.faculty, load.hours));
+        batchNames.forEach((batch, batchIndex) => {
+            const batchKey = Object.keys(course.batches).find(label => batchMatches(label, batch));
+            const batchLoad = batchKey ? course.batches[batchKey] : {};
+            const named = batchLoad.faculty?.length ? batchLoad.faculty : course.faculty;
+            const teacher = named.length > 0 ? rotateList(named, batchIndex)[0] : null;
+            add(teacher || course.theory[0]?.faculty, batchLoad.tutorial ?? course.tutorial);
+            add(teacher, batchLoad.practical ?? course.practical);
+        });
+    });
+    return hours;
+}
+
+// Rounds a share to a percentage with one decimal
+function toPercent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+/**
+ * Measures a structured timetable: weekly hours, idle gaps and the longest run of back-to-back
+ * hours per faculty member and batch, room utilisation, the load of each working day and what is
+ * still unscheduled. Hours are counted in periods, as in Load Dist; days off are left out.
+ * @param {object} record - Stored timetable with `sessions` and `dayGrid`.
+ * @param {object} [dataset] - `{ facultyHours, venues }` from the division's dataset, for the
+ *   Load Dist comparison and rooms that are never used.
+ * @returns {object}
+ */
+function buildTimetableMetrics(record, dataset = null) {
+    const grid = buildSolverGrid(record.dayGrid);
+    const sessions = record.sessions.filter(session => session.type !== 'holiday' && session.startPeriod);
+    const batchNames = record.batches?.map(batch => batch.name) ||
+        [...new Set(sessions.map(session => session.batch).filter(Boolean))];
+    
+    // Busy periods per faculty member or batch and day
+    const busy = { faculty: new Map(), batch: new Map() };
+    const venueHours = new Map();
+    const mark = (kind, name, session) => {
+        if (!busy[kind].has(name)) busy[kind].set(name, new Map(grid.days.map(day => [day, new Set()])));
+        const periods = busy[kind].get(name).get(session.day);
+        for (let p = session.startPeriod - 1; p < session.startPeriod - 1 + session.length; p++) periods.add(p);
+    };
+    sessions.forEach(session => {
+        (session.batch ? [session.batch] : batchNames).forEach(batch => mark('batch', batch, session));
+        if (session.faculty && !isSharedSession(session)) mark('faculty', session.faculty, session);
+        if (session.venue) venueHours.set(session.venue, (venueHours.get(session.venue) || 0) + session.length);
+    });
+    
+    const describe = (name, days) => {
+        const perDay = Object.fromEntries(grid.days.map(day => [day, days.get(day).size]));
+        return {
+            name,
+            hours: Object.values(perDay).reduce((sum, hours) => sum + hours, 0),
+            days: perDay,
+            idleGaps: grid.days.reduce((sum, day) => sum + countIdlePeriods(days.get(day)), 0),
+            maxConsecutiveHours: Math.max(0, ...grid.days.flatMap(day => periodRuns(days.get(day), grid.blockOf)))
+        };
+    };
+    
+    const facultyNames = new Set([...busy.faculty.keys(), ...(dataset?.facultyHours.keys() || [])]);
+    const faculty = [...facultyNames].sort().map(name => {
+        const entry = describe(name, busy.faculty.get(name) || new Map(grid.days.map(day => [day, new Set()])));
+        const loadDistHours = dataset ? dataset.facultyHours.get(name) || 0 : null;
+        return {
+            ...entry,
+            loadDistHours,
+            difference: loadDistHours === null ? null : entry.hours - loadDistHours
+        };
+    });
+    const batches = batchNames.filter(name => busy.batch.has(name)).map(name => describe(name, busy.batch.get(name)));
+    
+    const availableHours = grid.days.reduce((sum, day) => sum + grid.periodsPerDay[day], 0);
+    const venueNames = new Set([...venueHours.keys(), ...(dataset?.venues || [])]);
+    const venues = [...venueNames].sort().map(name => ({
+        name,
+        hoursUsed: venueHours.get(name) || 0,
+        hoursAvailable: availableHours,
+        utilisation: toPercent(venueHours.get(name) || 0, availableHours)
+    }));
+    
+    // Share of each working day's batch periods that are taught; half days are measured against their half
+    const days = grid.days.map(day => {
+        const batchHours = batches.reduce((sum, batch) => sum + batch.days[day], 0);
+        return {
+            day,
+            sessions: sessions.filter(session => session.day === day).length,
+            batchHours,
+            load: toPercent(batchHours, grid.periodsPerDay[day] * batches.length)
+        };
+    });
+    const loads = days.map(day => day.load);
+    const averageLoad = loads.reduce((sum, load) => sum + load, 0) / loads.length;
+    
+    const unscheduled = record.unscheduled || [];
+    return {
+        summary: {
+            sessions: sessions.length,
+            faculty: faculty.length,
+            batches: batches.length,
+            venues: venues.length,
+            facultyIdleGaps: faculty.reduce((sum, entry) => sum + entry.idleGaps, 0),
+            batchIdleGaps: batches.reduce((sum, entry) => sum + entry.idleGaps, 0),
+            unscheduledHours: unscheduled.reduce((sum, entry) => sum + (entry.missingHours || 0), 0),
+            qualityScore: record.quality?.score ?? null
+        },
+        faculty,
+        batches,
+        venues,
+        days,
+        loadBalance: {
+            busiestDay: days[loads.indexOf(Math.max(...loads))].day,
+            quietestDay: days[loads.indexOf(Math.min(...loads))].day,
+            averageLoad: Math.round(averageLoad * 10) / 10,
+            standardDeviation: Math.round(Math.sqrt(loads.reduce((sum, load) => sum + (load - averageLoad) ** 2, 0) / loads.length) * 10) / 10
+        },
+        unscheduled
+    };
+}
+
+// --- Excel Export ---
+
+// Excel sheet names are at most 31 characters and may not contain : \\ / ? * [ ]
+function toSheetName(name, usedNames) {
+    const base = name.replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+    let sheetName = base;
+    for (let i = 2; usedNames.has(sheetName.toLowerCase()); i++) {
+        sheetName = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+// Lists the grid columns of a timetable: its periods with the breaks between them
+function timetableColumns(record, entries) {
+    const slots = record.dayGrid?.slots?.map(slot => ({
+        label: slot.label,
+        start: parseClockTime(slot.start),
+        end: parseClockTime(slot.end),
+        period: slot.period
+    }));
+    if (!slots) {
+        // Older records have no day grid; use the session times instead
+        const times = new Map(entries.map(entry => [entry.time, entry]));
+        return [...times.values()].sort((a, b) => a.start - b.start)
+            .map(entry => ({ label: entry.time, start: entry.start, end: entry.end }));
+    }
+
+    const columns = [];
+    slots.forEach(slot => {
+        columns.push(slot);
+        (record.dayGrid.breaks || []).filter(breakInfo => breakInfo.after === slot.period + 1).forEach(breakInfo => {
+            columns.push({
+                label: `${formatClockLabel(parseClockTime(breakInfo.start))}-${formatClockLabel(parseClockTime(breakInfo.end))}`,
+                breakKind: breakInfo.kind
+            });
+        });
+    });
+    return columns;
+}
+
+// Builds a day × period sheet; `describe` turns the entries of one cell into its text
+function buildGridSheet(title, columns, entries, describe) {
+    const rows = [
+        [title],
+        ['Day', ...columns.map(column => column.label)]
+    ];
+    WEEK_DAYS.forEach(day => {
+        rows.push([day, ...columns.map(column => {
+            if (column.breakKind) return column.breakKind === 'long' ? 'LUNCH BREAK' : 'BREAK';
+            const inSlot = entries.filter(entry => entry.day === day && entry.start < column.end && column.start < entry.end);
+            return inSlot.length > 0 ? describe(inSlot) : '';
+        })]);
+    });
+
+    const sheet = xlsx.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = [{ wch: 12 }, ...columns.map(column => ({ wch: column.breakKind ? 12 : 30 }))];
+    return sheet;
+}
+
+/**
+ * Builds a printable workbook for a stored timetable: a day × period grid of the whole
+ * division, one grid per batch (its lectures, tutorials and labs) and a flat Sessions sheet
+ * in the column layout that POST /api/timetables/validate and the upload routes read back.
+ * @param {object} record - Stored timetable record.
+ * @returns {object} - xlsx workbook.
+ */
+function buildTimetableWorkbook(record) {
+    const workbook = xlsx.utils.book_new();
+    const usedNames = new Set();
+    const rows = toLegacyTimetable(record)?.rows || [];
+    const entries = timetableEntries(record);
+    const columns = timetableColumns(record, entries);
+    const divisionName = `${record.branch || ''}${record.division || ''}` || 'Timetable';
+    const generated = record.generatedAt ? ` (generated ${record.generatedAt})` : '';
+
+    const isAllBatches = label => /^all\b/i.test(label);
+    const describeSession = entry => `${entry.subject}\n${entry.faculty}\n${entry.venue}`;
+
+    xlsx.utils.book_append_sheet(workbook, buildGridSheet(
+        `${record.branch} Division ${record.division}${generated}`,
+        columns,
+        entries,
+        inSlot => inSlot.map(entry => isAllBatches(entry.batch)
+            ? describeSession(entry)
+            : `${entry.batch}: ${entry.subject} (${entry.faculty}, ${entry.venue})`
+        ).join('\n')
+    ), toSheetName(`${divisionName} Grid`, usedNames));
+
+    const batchNames = record.batches?.map(batch => batch.name) ||
+        [...new Set(entries.map(entry => entry.batch).filter(batch => !isAllBatches(batch)))];
+    batchNames.forEach(batchName => {
+        const batchEntries = entries.filter(entry => entry.batch === batchName || isAllBatches(entry.batch));
+        xlsx.utils.book_append_sheet(workbook, buildGridSheet(
+            `${batchName} - ${record.branch} Division ${record.division}`,
+            columns,
+            batchEntries,
+            inSlot => inSlot.map(describeSession).join('\n')
+        ), toSheetName(batchName, usedNames));
+    });
+
+    const sessionsSheet = xlsx.utils.aoa_to_sheet([
+        ['Day', 'Time', 'Class/Batch', 'Course Name', 'Faculty', 'Venue'],
+        ...rows.map(row => [String(row[0]).replace(/\*/g, ''), ...row.slice(1)])
+    ]);
+    sessionsSheet['!cols'] = [{ wch: 12 }, { wch: 12 }, { wch: 14 }, { wch: 36 }, { wch: 20 }, { wch: 14 }];
+    xlsx.utils.book_append_sheet(workbook, sessionsSheet, toSheetName('Sessions', usedNames));
+
+    return workbook;
+}
+
+/**
+ * Builds the workload report of a timetable: a summary sheet, then faculty hours against
+ * Load Dist, batch hours, room utilisation, day loads and unscheduled requirements.
+ * @param {object} record - Stored timetable record.
+ * @param {object} metrics - Metrics from `buildTimetableMetrics`.
+ * @returns {object} - xlsx workbook.
+ */
+function buildWorkloadWorkbook(record, metrics) {
+    const workbook = xlsx.utils.book_new();
+    const addSheet = (name, rows, widths) => {
+        const sheet = xlsx.utils.aoa_to_sheet(rows);
+        sheet['!cols'] = widths.map(wch => ({ wch }));
+        xlsx.utils.book_append_sheet(workbook, sheet, name);
+    };
+    const { summary, loadBalance } = metrics;
+    const workingDays = metrics.days.map(entry => entry.day);
+    const generated = record.generatedAt ? ` (timetable generated ${record.generatedAt})` : '';
+    
+    addSheet('Summary', [
+        [`${record.branch} Division ${record.division} workload report${generated}`],
+        [],
+        ['Sessions', summary.sessions],
+        ['Faculty members', summary.faculty],
+        ['Batches', summary.batches],
+        ['Rooms', summary.venues],
+        ['Faculty idle hours', summary.facultyIdleGaps],
+        ['Batch idle hours', summary.batchIdleGaps],
+        ['Unscheduled hours', summary.unscheduledHours],
+        ['Quality score (lower is better)', summary.qualityScore ?? '-'],
+        ['Busiest day', loadBalance.busiestDay],
+        ['Quietest day', loadBalance.quietestDay],
+        ['Average day load %', loadBalance.averageLoad],
+        ['Day load standard deviation', loadBalance.standardDeviation],
+        ...(metrics.loadDistUnavailable ? [['Load Dist', `Not compared: ${metrics.loadDistUnavailable}`]] : [])
+    ], [32, 24]);
+    
+    addSheet('Faculty Workload', [
+        ['Faculty', 'Scheduled Hours', 'Load Dist Hours', 'Difference', ...workingDays, 'Idle Hours', 'Max Consecutive Hours'],
+        ...metrics.faculty.map(entry => [
+            entry.name, entry.hours, entry.loadDistHours ?? '-', entry.difference ?? '-',
+            ...workingDays.map(day => entry.days[day]), entry.idleGaps, entry.maxConsecutiveHours
+        ])
+    ], [22, 16, 16, 11, ...workingDays.map(() => 10), 11, 22]);
+    
+    addSheet('Batches', [
+        ['Batch', 'Hours', ...workingDays, 'Idle Hours', 'Max Consecutive Hours'],
+        ...metrics.batches.map(entry => [
+            entry.name, entry.hours, ...workingDays.map(day => entry.days[day]), entry.idleGaps, entry.maxConsecutiveHours
+        ])
+    ], [16, 8, ...workingDays.map(() => 10), 11, 22]);
+    
+    addSheet('Rooms', [
+        ['Room', 'Hours Used', 'Hours Available', 'Utilisation %'],
+        ...metrics.venues.map(entry => [entry.name, entry.hoursUsed, entry.hoursAvailable, entry.utilisation])
+    ], [16, 11, 15, 13]);
+    
+    addSheet('Days', [
+        ['Day', 'Sessions', 'Batch Hours', 'Load %'],
+        ...metrics.days.map(entry => [entry.day, entry.sessions, entry.batchHours, entry.load])
+    ], [12, 10, 12, 9]);
+    
+    if (metrics.unscheduled.length > 0) {
+        addSheet('Unscheduled', [
+            ['Course', 'Type', 'Batch', 'Required Hours', 'Placed Hours', 'Missing Hours'],
+            ...metrics.unscheduled.map(entry => [
+                entry.course, entry.type, entry.batch, entry.requiredHours, entry.placedHours, entry.missingHours
+            ])
+        ], [36, 10, 14, 15, 13, 14]);
+    }
+    
+    return workbook;
+}
+
+/**
+ * Builds the workbook of an exam timetable: the exams in date order, the room plan with the
+ * invigilators of every room, each faculty member's invigilation duties and any exams that
+ * did not fit the window.
+ * @param {object} record - Stored exam timetable from `generateExamRecord`.
+ * @returns {object} - xlsx workbook.
+ */
+function buildExamWorkbook(record) {
+    const workbook = xlsx.utils.book_new();
+    const addSheet = (name, rows, widths) => {
+        const sheet = xlsx.utils.aoa_to_sheet(rows);
+        sheet['!cols'] = widths.map(wch => ({ wch }));
+        xlsx.utils.book_append_sheet(workbook, sheet, name);
+    };
+    const scope = record.branch ? `${record.branch} Division ${record.division}` : record.divisions.join(', ');
+    const time = exam => `${formatClockLabel(parseClockTime(exam.start))}-${formatClockLabel(parseClockTime(exam.end))}`;
+    
+    addSheet('Exams', [
+        [`Exam timetable for ${scope}, ${record.window.startDate} to ${record.window.endDate}`],
+        [],
+        ['Date', 'Day', 'Session', 'Time', 'Course Code', 'Course', 'Divisions', 'Students', 'Rooms'],
+        ...record.exams.map(exam => [
+            exam.date, exam.day, exam.session, time(exam), exam.courseCode || '-', exam.courseName,
+            exam.divisions.join(', '), exam.students, exam.rooms.map(room => room.venue).join(', ')
+        ])
+    ], [12, 11, 11, 13, 12, 36, 14, 9, 20]);
+    
+    addSheet('Room Plan', [
+        ['Date', 'Session', 'Room', 'Capacity', 'Students', 'Course', 'Invigilators'],
+        ...record.exams.flatMap(exam => exam.rooms.map(room => [
+            exam.date, exam.session, room.venue, room.capacity, room.students, exam.courseName,
+            room.invigilators.join(', ') || '-'
+        ]))
+    ], [12, 11, 12, 9, 9, 36, 36]);
+    
+    addSheet('Invigilation', [
+        ['Faculty', 'Duties', 'Slots'],
+        ...record.invigilation.map(entry => [entry.faculty, entry.duties, entry.slots.join(', ')])
+    ], [24, 8, 60]);
+    
+    if (record.unscheduled.length > 0) {
+        addSheet('Unscheduled', [
+            ['Course Code', 'Course', 'Divisions', 'Students', 'Reason'],
+            ...record.unscheduled.map(entry => [
+                entry.courseCode || '-', entry.courseName, entry.divisions.join(', '), entry.students, entry.reason
+            ])
+        ], [12, 36, 14, 9, 60]);
+    }
+    
+    return workbook;
+}
+
+// --- Calendar Feeds ---
+
+// Parses a 'YYYY-MM-DD' date into a UTC midnight Date (null if invalid)
+function parseCalendarDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+// Escapes commas, semicolons, backslashes and newlines in an iCalendar text value
+function escapeIcsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds an iCalendar content line to 75 octets, continuing with a leading space (RFC 5545 3.1)
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Formats a date plus minutes after midnight as a floating iCalendar date-time (local college time)
+function formatIcsDateTime(date, minutes) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return `${day}T${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}00`;
+}
+
+/**
+ * Builds an RFC 5545 calendar with one weekly recurring event per timetable session,
+ * running from the first matching weekday on or after the semester start until its end.
+ * @param {string} name - Calendar name shown by calendar apps.
+ * @param {object[]} sessions - `{ uid, day, start, end, summary, location, description }`, times in minutes.
+ * @param {{start: Date, end: Date}} semester - Semester dates from `parseCalendarDate`.
+ * @returns {string}
+ */
+function buildIcsCalendar(name, sessions, semester) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const until = formatIcsDateTime(semester.end, 23 * 60 + 59);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Sutra//Timetable Generator//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`
+    ];
+
+    sessions.forEach(session => {
+        // Monday is 1 in both WEEK_DAYS order (+1) and Date#getUTCDay
+        const weekday = WEEK_DAYS.indexOf(session.day) + 1;
+        const first = new Date(semester.start);
+        first.setUTCDate(first.getUTCDate() + (weekday - first.getUTCDay() + 7) % 7);
+        if (first > semester.end) return;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${session.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDateTime(first, session.start)}`,
+            `DTEND:${formatIcsDateTime(first, session.end)}`,
+            `RRULE:FREQ=WEEKLY;UNTIL=${until}`,
+            `SUMMARY:${escapeIcsText(session.summary)}`,
+            `LOCATION:${escapeIcsText(session.location)}`,
+            `DESCRIPTION:${escapeIcsText(session.description)}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// --- Exam Timetables ---
+
+// Exam sessions of a day when a request does not give its own
+const DEFAULT_EXAM_SESSIONS = [
+    { name: 'Morning', start: '10:00', end: '13:00' },
+    { name: 'Afternoon', start: '14:00', end: '17:00' }
+];
+
+// Longest exam window a request may ask for, in calendar days
+const MAX_EXAM_WINDOW_DAYS = 92;
+
+// Search budget of the exam scheduler; every step checks all pending exams against all slots
+const MAX_EXAM_SOLVER_STEPS = 20000;
+
+// Milliseconds in a day, for stepping through the dates of a window
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the exam slots of a window: every session of every date from `startDate` to `endDate`
+ * that is a working day of the institution policy and not an excluded date. Half days only
+ * have their first session.
+ * @param {object} options - `{ startDate, endDate, excludedDates, sessions }` from `readExamOptions`.
+ * @param {object} policy - Institution policy.
+ * @returns {object[]} - Slots `{ id, date, day, dayNumber, session, start, end }`, where `dayNumber`
+ *   counts calendar days from the start of the window.
+ */
+function buildExamSlots(options, policy) {
+    const first = parseCalendarDate(options.startDate);
+    const last = parseCalendarDate(options.endDate);
+    const slots = [];
+    
+    for (let dayNumber = 0; first.getTime() + dayNumber * DAY_MS <= last.getTime(); dayNumber++) {
+        const date = new Date(first.getTime() + dayNumber * DAY_MS);
+        const isoDate = date.toISOString().slice(0, 10);
+        const day = SESSION_DAYS[(date.getUTCDay() + 6) % 7];
+        if (!policy.workingDays.includes(day) || options.excludedDates.includes(isoDate)) continue;
+        
+        const sessions = policy.halfDays.includes(day) ? options.sessions.slice(0, 1) : options.sessions;
+        sessions.forEach(session => slots.push({
+            id: `${isoDate}|${session.name}`,
+            date: isoDate,
+            day,
+            dayNumber,
+            session: session.name,
+            start: session.start,
+            end: session.end
+        }));
+    }
+    return slots;
+}
+
+/**
+ * Lists the exams of one division: one per course with lecture hours, sat by every batch of
+ * the division. Batch groups are prefixed with the division like solver sessions.
+ * @param {object} allData - Division data from `loadDivisionData`.
+ * @returns {object[]} - Exams `{ id, courseCode, courseName, divisions, groups, students, teachers }`;
+ *   `students` is null when a batch has no strength on record.
+ */
+function buildDivisionExams(allData) {
+    const divisionKey = `${allData.branch}${allData.division}`;
+    const batches = allData.batchGroups || [];
+    const students = batches.length > 0 && batches.every(batch => batch.strength)
+        ? batches.reduce((sum, batch) => sum + batch.strength, 0)
+        : null;
+    
+    return buildCourseLoads(allData.theoryCourses || [], [], allData.loadDist || [], 1)
+        .filter(course => course.theory.some(load => load.hours > 0))
+        .map(course => ({
+            id: `EXAM-${toResourceId(course.code || course.name)}`,
+            courseCode: course.code,
+            courseName: course.name,
+            divisions: [divisionKey],
+            groups: batches.map(batch => `${divisionKey}:${batch.name}`),
+            students,
+            teachers: [...new Set([...course.theory.map(load => load.faculty), ...course.faculty].filter(Boolean))]
+        }));
+}
+
+// Divisions taking the same course (same code, or name without one) sit one common exam
+function mergeExams(exams) {
+    const merged = new Map();
+    exams.forEach(exam => {
+        const common = merged.get(exam.id);
+        if (!common) {
+            merged.set(exam.id, { ...exam });
+            return;
+        }
+        common.divisions = [...common.divisions, ...exam.divisions];
+        common.groups = [...common.groups, ...exam.groups];
+        common.students = common.students === null || exam.students === null ? null : common.students + exam.students;
+        common.teachers = [...new Set([...common.teachers, ...exam.teachers])];
+    });
+    return [...merged.values()];
+}
+
+/**
+ * Assigns each exam a slot and rooms. Exams that share a batch are at least `minGapDays`
+ * calendar days apart (1 = not on the same day), every exam gets rooms whose seats cover its
+ * students, and no slot needs more invigilators than there are faculty members. Like the
+ * timetable solver it backtracks, always expanding the exam with the fewest slots left; slots
+ * on quiet days and far from the batches' other exams are tried first.
+ * @param {object[]} exams - Exams from `buildDivisionExams`, merged with `mergeExams`.
+ * @param {object[]} slots - Slots from `buildExamSlots`.
+ * @param {object[]} rooms - Exam rooms `{ name, capacity }`.
+ * @param {object} options - `{ minGapDays, invigilatorsPerRoom, invigilatorCount, random, maxSteps }`.
+ * @returns {{placed: object[], unplaced: object[], complete: boolean}} - Placed exams carry their
+ *   `slot` and `rooms` (`{ name, capacity, students }`).
+ */
+function solveExamSchedule(exams, slots, rooms, options) {
+    const random = options.random || Math.random;
+    const maxSteps = options.maxSteps || MAX_EXAM_SOLVER_STEPS;
+    const roomsBySize = [...rooms].sort((a, b) => a.capacity - b.capacity);
+    const roomsUsed = new Map();
+    const groupDays = new Map();
+    const dateLoad = new Map();
+    const assignments = new Map();
+    let best = new Map();
+    let steps = 0;
+    
+    // The smallest free room that seats everyone, otherwise the largest free rooms until everyone is seated
+    const allocateRooms = (exam, slot) => {
+        const used = roomsUsed.get(slot.id) || new Set();
+        const free = roomsBySize.filter(room => !used.has(room.name));
+        const single = free.find(room => room.capacity >= exam.students);
+        if (single) return [{ ...single, students: exam.students }];
+        
+        const chosen = [];
+        let remaining = exam.students;
+        for (const room of [...free].reverse()) {
+            if (remaining <= 0) break;
+            chosen.push({ ...room, students: Math.min(room.capacity, remaining) });
+            remaining -= room.capacity;
+        }
+        return remaining > 0 ? null : chosen;
+    };
+    
+    const resolveSlot = (exam, slot) => {
+        const tooClose = exam.groups.some(group => (groupDays.get(group) || [])
+            .some(dayNumber => Math.abs(dayNumber - slot.dayNumber) < options.minGapDays));
+        if (tooClose) return null;
+        const allocated = allocateRooms(exam, slot);
+        if (!allocated) return null;
+        const roomCount = (roomsUsed.get(slot.id)?.size || 0) + allocated.length;
+        if (roomCount * options.invigilatorsPerRoom > options.invigilatorCount) return null;
+        return { slot, rooms: allocated };
+    };
+    
+    const place = (exam, value) => {
+        const used = roomsUsed.get(value.slot.id) || new Set();
+        value.rooms.forEach(room => used.add(room.name));
+        roomsUsed.set(value.slot.id, used);
+        exam.groups.forEach(group => groupDays.set(group, [...(groupDays.get(group) || []), value.slot.dayNumber]));
+        dateLoad.set(value.slot.date, (dateLoad.get(value.slot.date) || 0) + 1);
+        assignments.set(exam.id, value);
+        if (assignments.size > best.size) best = new Map(assignments);
+    };
+    
+    const unplace = (exam, value) => {
+        value.rooms.forEach(room => roomsUsed.get(value.slot.id).delete(room.name));
+        exam.groups.forEach(group => {
+            const days = groupDays.get(group);
+            days.splice(days.lastIndexOf(value.slot.dayNumber), 1);
+        });
+        dateLoad.set(value.slot.date, dateLoad.get(value.slot.date) - 1);
+        assignments.delete(exam.id);
+    };
+    
+    // Days between a slot and the nearest exam of any of the exam's batches
+    const distance = (exam, slot) => Math.min(Infinity, ...exam.groups.flatMap(group =>
+        (groupDays.get(group) || []).map(dayNumber => Math.abs(dayNumber - slot.dayNumber))
+    ));
+    
+    const orderValues = (exam, values) => shuffleWithRandom(values, random)
+        .map(value => ({ value, load: dateLoad.get(value.slot.date) || 0, distance: distance(exam, value.slot) }))
+        .sort((a, b) => a.load - b.load || b.distance - a.distance)
+        .map(entry => entry.value);
+    
+    const pending = new Set(exams);
+    const search = () => {
+        if (pending.size === 0) return true;
+        if (++steps > maxSteps) return false;
+        
+        // Fewest slots first; among equals, the exam with the most students
+        let chosen = null;
+        let chosenValues = null;
+        for (const exam of pending) {
+            const values = slots.map(slot => resolveSlot(exam, slot)).filter(Boolean);
+            if (!chosen || values.length < chosenValues.length ||
+                (values.length === chosenValues.length && exam.students > chosen.students)) {
+                chosen = exam;
+                chosenValues = values;
+                if (values.length === 0) break;
+            }
+        }
+        if (chosenValues.length === 0) return false;
+        
+        pending.delete(chosen);
+        for (const value of orderValues(chosen, chosenValues)) {
+            place(chosen, value);
+            if (search()) return true;
+            unplace(chosen, value);
+            if (steps > maxSteps) break;
+        }
+        pending.add(chosen);
+        return false;
+    };
+    
+    const complete = search();
+    const finalAssignments = complete ? assignments : best;
+    const placed = [];
+    const unplaced = [];
+    exams.forEach(exam => {
+        const value = finalAssignments.get(exam.id);
+        if (value) placed.push({ ...exam, ...value }); else unplaced.push(exam);
+    });
+    return { placed, unplaced, complete };
+}
+
+/**
+ * Assigns invigilators to the rooms of scheduled exams, always picking the faculty members
+ * with the fewest duties so far so duties come out balanced. Nobody invigilates two rooms in
+ * the same slot or the exam of a course they teach.
+ * @param {object[]} placed - Scheduled exams from `solveExamSchedule`; their rooms get `invigilators`.
+ * @param {string[]} faculty - Faculty names from the Faculty sheet.
+ * @param {number} perRoom - Invigilators each room needs.
+ * @param {Function} random - Random source for breaking ties.
+ * @returns {{duties: object[], shortages: object[]}} - Duty count and slots per faculty member,
+ *   and the rooms that could not get enough invigilators.
+ */
+function assignInvigilators(placed, faculty, perRoom, random) {
+    const duties = new Map(shuffleWithRandom(faculty, random).map(name => [name, []]));
+    const shortages = [];
+    const bySlot = [...placed].sort((a, b) => a.slot.dayNumber - b.slot.dayNumber || a.slot.start.localeCompare(b.slot.start));
+    const busy = new Map();
+    
+    bySlot.forEach(exam => {
+        const taken = busy.get(exam.slot.id) || new Set();
+        busy.set(exam.slot.id, taken);
+        exam.rooms.forEach(room => {
+            const chosen = [...duties.keys()]
+                .filter(name => !taken.has(name) && !exam.teachers.some(teacher => teacher.toLowerCase() === name.toLowerCase()))
+                .sort((a, b) => duties.get(a).length - duties.get(b).length)
+                .slice(0, perRoom);
+            chosen.forEach(name => {
+                taken.add(name);
+                duties.get(name).push(`${exam.slot.date} ${exam.slot.session}`);
+            });
+            room.invigilators = chosen;
+            if (chosen.length < perRoom) {
+                shortages.push({
+                    date: exam.slot.date,
+                    session: exam.slot.session,
+                    course: exam.courseName,
+                    room: room.name,
+                    missing: perRoom - chosen.length
+                });
+            }
+        });
+    });
+    
+    return {
+        duties: [...duties.entries()]
+            .map(([name, slots]) => ({ faculty: name, duties: slots.length, slots }))
+            .sort((a, b) => b.duties - a.duties || a.faculty.localeCompare(b.faculty)),
+        shortages
+    };
+}
+
+// Shapes a scheduled exam for storage: its slot, course, batches and rooms with invigilators
+function formatExam(exam) {
+    return {
+        id: exam.id,
+        date: exam.slot.date,
+        day: exam.slot.day,
+        session: exam.slot.session,
+        start: exam.slot.start,
+        end: exam.slot.end,
+        courseCode: exam.courseCode || null,
+        courseName: exam.courseName,
+        divisions: exam.divisions,
+        batches: exam.groups.map(group => group.slice(group.indexOf(':') + 1)),
+        students: exam.students,
+        teachers: exam.teachers,
+        rooms: exam.rooms.map(room => ({
+            venue: room.name,
+            capacity: room.capacity,
+            students: room.students,
+            invigilators: room.invigilators || []
+        }))
+    };
+}
+
+// --- Dataset Loading ---
+
+/**
+ * Finds the branches and divisions present in the uploaded Excel files, first from
+ * DS1_Dataset.xlsx style file names and otherwise from Branch/Division columns.
+ * @returns {Promise<{excelFiles: string[], branches: string[], divisions: string[], pairs: {branch: string, division: string}[]}>}
+ */
+async function discoverBranchesDivisions() {
+    const allFiles = await fs.readdir(uploadsDir);
+    
+    const excelFiles = allFiles.filter(file => 
+        (file.endsWith('.xlsx') || file.endsWith('.xls')) && 
+        !file.startsWith('timetable_') // Exclude generated timetable files
+    );
+    
+    console.log('Found Excel files:', excelFiles);
+    
+    const branchesSet = new Set();
+    const divisionsSet = new Set();
+    const pairs = new Map();
+    const addPair = (branch, division) => pairs.set(`${branch}|${division}`, { branch, division });
+    
+    // Try to extract from filename first (DS1_Dataset.xlsx pattern)
+    excelFiles.forEach(file => {
+        const match = file.match(/^([A-Za-z]+)(\d+)_Dataset\.(xlsx|xls)$/);
+        if (match) {
+            const branch = match[1]; // e.g., "DS"
+            const division = match[2]; // e.g., "1"
+            branchesSet.add(branch);
+            divisionsSet.add(division);
+            addPair(branch, division);
+            console.log(`Extracted from filename ${file}: Branch=${branch}, Division=${division}`);
+        }
+    });
+    
+    // If no data from filenames, try reading Excel content
+    if (excelFiles.length > 0 && (branchesSet.size === 0 || divisionsSet.size === 0)) {
+        const filePath = path.join(uploadsDir, excelFiles[0]);
+        const workbook = xlsx.readFile(filePath);
+        
+        // Check multiple sheets for branch/division data
+        const sheetsToCheck = ['Theory Courses', 'Lab Courses', 'Faculty', 'Batch Details'];
+        
+        for (const sheetName of sheetsToCheck) {
+            if (workbook.Sheets[sheetName]) {
+                const data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+                console.log(`Checking sheet ${sheetName}, found ${data.length} rows`);
+                
+                data.forEach(row => {
+                    const branch = row.Branch || row.branch || row.BRANCH;
+                    const division = row.Division || row.division || row.DIVISION || row.Div;
+                    
+                    if (branch) {
+                        branchesSet.add(branch.toString());
+                    }
+                    if (division) {
+                        divisionsSet.add(division.toString());
+                    }
+                    if (branch && division) {
+                        addPair(branch.toString(), division.toString());
+                    }
+                });
+            }
+        }
+    }
+    
+    return {
+        excelFiles,
+        branches: Array.from(branchesSet).sort(),
+        divisions: Array.from(divisionsSet).sort(),
+        pairs: Array.from(pairs.values())
+    };
+}
+
+// Faculty availability entries saved through the API
+const FACULTY_AVAILABILITY_FILE = path.join(uploadsDir, 'faculty_availability.json');
+
+// Reads the saved faculty availability entries (none if nothing was saved yet)
+async function readStoredFacultyAvailability() {
+    try {
+        const content = await fs.readFile(FACULTY_AVAILABILITY_FILE, 'utf-8');
+        return JSON.parse(content).faculty || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Institution policy saved through the API
+const INSTITUTION_POLICY_FILE = path.join(uploadsDir, 'institution_policy.json');
+
+// Reads the saved institution policy, or the default one if nothing was saved yet
+async function readInstitutionPolicy() {
+    try {
+        const content = await fs.readFile(INSTITUTION_POLICY_FILE, 'utf-8');
+        return normalizeInstitutionPolicy(JSON.parse(content));
+    } catch (error) {
+        if (error.code === 'ENOENT') return DEFAULT_INSTITUTION_POLICY;
+        throw error;
+    }
+}
+
+// Elective groups saved through the API
+const ELECTIVE_GROUPS_FILE = path.join(uploadsDir, 'elective_groups.json');
+
+// Reads the saved elective groups (none if nothing was saved yet)
+async function readElectiveGroups() {
+    try {
+        const content = await fs.readFile(ELECTIVE_GROUPS_FILE, 'utf-8');
+        return normalizeElectiveGroups(JSON.parse(content));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { groups: [] };
+        throw error;
+    }
+}
+
+/**
+ * Finds the slots the current timetables of other divisions already give each elective group,
+ * so a division generated on its own joins its groups there. A group that no other division
+ * has scheduled with all of its hours yet is left free.
+ * @param {object[]} groups - Elective groups of the division.
+ * @param {string} branch - Branch being generated.
+ * @param {string} division - Division being generated.
+ * @returns {Promise<object>} - Slots `{ day, period }` (0-based period) per group name.
+ */
+async function readElectiveSlots(groups, branch, division) {
+    if (groups.length === 0) return {};
+    const ownKey = readDivisionKey(`${branch}${division}`);
+    const others = (await readCurrentTimetables()).filter(record =>
+        record.sessions && readDivisionKey(`${record.branch}${record.division}`) !== ownKey
+    );
+    
+    const slots = {};
+    groups.forEach(group => {
+        for (const record of others) {
+            if (!group.divisions.includes(readDivisionKey(`${record.branch}${record.division}`))) continue;
+            const used = new Map();
+            record.sessions.filter(session => session.electiveGroup === group.name).forEach(session => {
+                used.set(`${session.day}|${session.startPeriod}`, { day: session.day, period: session.startPeriod - 1 });
+            });
+            if (used.size !== group.hours) continue;
+            
+            slots[group.name] = [...used.values()].sort((a, b) =>
+                WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) || a.period - b.period
+            );
+            console.log(`🎓 ${group.name} follows ${record.branch}${record.division}: ${slots[group.name].map(slot => `${slot.day} P${slot.period + 1}`).join(', ')}`);
+            break;
+        }
+    });
+    return slots;
+}
+
+// Faculty allocation overrides saved through the API
+const FACULTY_ALLOCATION_FILE = path.join(uploadsDir, 'faculty_allocation.json');
+
+// Reads the saved faculty allocation overrides (none if nothing was saved yet)
+async function readAllocationOverrides() {
+    try {
+        const content = await fs.readFile(FACULTY_ALLOCATION_FILE, 'utf-8');
+        return normalizeAllocationOverrides(JSON.parse(content));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { overrides: [] };
+        throw error;
+    }
+}
+
+// Reads the timing options shared by every generation request, applying the defaults
+function readGenerationConstraints(body) {
+    return {
+        theoryDuration: Number(body.theoryDuration) || 60,
+        labDuration: Number(body.labDuration) || 120,
+        shortBreaks: body.shortBreaks ?? 2,
+        longBreaks: body.longBreaks ?? 1,
+        startTime: body.startTime || '9:00',
+        endTime: body.endTime || '17:00',
+        shortBreakDuration: body.shortBreakDuration || DEFAULT_SHORT_BREAK_MINUTES,
+        longBreakDuration: body.longBreakDuration || DEFAULT_LONG_BREAK_MINUTES
+    };
+}
+
+// Reads the solver seed of a generation request; without one a time-based seed is used (and stored)
+function readGenerationSeed(body) {
+    if (body.seed === undefined || body.seed === null || body.seed === '') return Date.now();
+    const seed = Number(body.seed);
+    if (!Number.isSafeInteger(seed)) {
+        throw createHttpError(400, `"seed" must be a whole number, got "${body.seed}".`);
+    }
+    return seed;
+}
+
+// Most alternatives a single generation request may solve and rank
+const MAX_CANDIDATES = 10;
+
+// Reads how many alternative timetables a generation request wants ranked
+function readCandidateCount(body) {
+    if (body.candidates === undefined || body.candidates === null || body.candidates === '') return 1;
+    const count = Number(body.candidates);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES) {
+        throw createHttpError(400, `"candidates" must be a whole number from 1 to ${MAX_CANDIDATES}, got "${body.candidates}".`);
+    }
+    return count;
+}
+
+// Adds an entry for slots a faculty member cannot teach in to the saved faculty availability
+async function addFacultyUnavailability(faculty, slots) {
+    const entries = [...await readStoredFacultyAvailability(), { Faculty: faculty, Unavailable: slots }];
+    buildFacultyAvailability(entries);
+    await fs.writeFile(FACULTY_AVAILABILITY_FILE, JSON.stringify({ faculty: entries }, null, 2));
+}
+
+// Creates the AI provider a generation request names, or returns null when the solver works alone
+function readAiProvider(body) {
+    if (!body.provider) return null;
+    const createProvider = AI_PROVIDERS[String(body.provider).toLowerCase()];
+    if (!createProvider) {
+        throw createHttpError(400, `Unknown provider "${body.provider}". Use one of: ${Object.keys(AI_PROVIDERS).join(', ')}.`);
+    }
+    return createProvider(body.providerOptions || {});
+}
+
+/**
+ * Loads the uploaded sheets for one branch/division and prepares the generator input.
+ * Uses the division's own dataset file when there is one, otherwise filters the first Excel file.
+ * @param {string} branch - Branch code, e.g. 'DS'.
+ * @param {string} division - Division, e.g. '1'.
+ * @param {object} constraints - Timing options from `readGenerationConstraints`.
+ * @returns {Promise<object>} - Course, faculty, venue and batch data for the generator, with the
+ *   institution policy, the elective groups the division takes part in and its allocation overrides.
+ */
+async function loadDivisionData(branch, division, constraints) {
+    const allFiles = await fs.readdir(uploadsDir);
+
+    let filePath = null;
+
+    // Method 1: Look for specific branch-division file (like DS1_Dataset.xlsx)
+    const specificFile = allFiles.find(file => {
+        const fileName = file.toLowerCase();
+        return (
+            fileName.includes(branch?.toLowerCase() || '') && 
+            fileName.includes(division?.toLowerCase() || '') &&
+            (fileName.endsWith('.xlsx') || fileName.endsWith('.xls'))
+        );
+    });
+
+    if (specificFile) {
+        filePath = path.join(uploadsDir, specificFile);
+        console.log(`Found specific file: ${specificFile}`);
+    } else {
+        // Method 2: Look for any Excel file and filter data from it
+        const excelFiles = allFiles.filter(file => 
+            (file.endsWith('.xlsx') || file.endsWith('.xls')) && 
+            !file.startsWith('timetable_')
+        );
+        
+        if (excelFiles.length === 0) {
+            throw new Error("No Excel files found in uploads folder. Please upload data first.");
+        }
+        
+        // Use the first Excel file and filter data from it
+        filePath = path.join(uploadsDir, excelFiles[0]);
+        console.log(`Using file: ${excelFiles[0]} and will filter data`);
+    }
+
+    // Read and parse the Excel file
+    const workbook = xlsx.readFile(filePath);
+    console.log('Available sheets:', workbook.SheetNames);
+
+    // Helper function to safely read a sheet
+    const getSheetData = (sheetName) => {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet) {
+            console.log(`Sheet ${sheetName} not found`);
+            return [];
+        }
+        return xlsx.utils.sheet_to_json(sheet);
+    };
+
+    // Extract data from sheets
+    let theoryCourses = getSheetData('Theory Courses');
+    let labCourses = getSheetData('Lab Courses');
+    let faculty = getSheetData('Faculty');
+    let loadDist = getSheetData('Load Dist');
+    let batches = getSheetData('Batch Details');
+    let venues = getSheetData('Venue');
+    // Availability belongs to the faculty member, not the division, so it is not filtered
+    const facultyAvailability = [
+        ...getSheetData('Faculty Availability'),
+        ...await readStoredFacultyAvailability()
+    ];
+
+    // Filter data by branch and division if they exist in the data
+    if (branch && division) {
+        const filterByBranchDiv = (data) => {
+            return data.filter(item => {
+                const itemBranch = item.Branch || item.branch || '';
+                const itemDivision = item.Division || item.division || '';
+                
+                return (
+                    itemBranch.toString().toLowerCase().includes(branch.toLowerCase()) &&
+                    itemDivision.toString().toLowerCase().includes(division.toLowerCase())
+                );
+            });
+        };
+
+        theoryCourses = filterByBranchDiv(theoryCourses);
+        labCourses = filterByBranchDiv(labCourses);
+        faculty = filterByBranchDiv(faculty);
+        loadDist = filterByBranchDiv(loadDist);
+        batches = filterByBranchDiv(batches);
+        // Venues are usually shared, so don't filter them
+    }
+
+    console.log(`Filtered data counts:`, {
+        theoryCourses: theoryCourses.length,
+        labCourses: labCourses.length,
+        faculty: faculty.length,
+        batches: batches.length
+    });
+
+    if (theoryCourses.length === 0 && labCourses.length === 0) {
+        throw new Error(`No data found for branch: ${branch}, division: ${division}. Please check your data.`);
+    }
+
+    // Prepare data for timetable generation
+    const timetableData = {
+        theoryCourses: theoryCourses.map(course => ({ ...course, division: division })),
+        labCourses: labCourses.map(course => ({ ...course, division: division })),
+        faculty: faculty.map(f => ({ ...f, division: division })),
+        loadDist: loadDist.map(load => ({ ...load, division: division })),
+        venues: venues,
+        batches: batches.map(batch => ({ ...batch, division: division })),
+        facultyAvailability,
+        policy: await readInstitutionPolicy(),
+        electiveGroups: (await readElectiveGroups()).groups
+            .filter(group => group.divisions.includes(readDivisionKey(`${branch}${division}`))),
+        facultyOverrides: (await readAllocationOverrides()).overrides
+            .filter(override => override.division === readDivisionKey(`${branch}${division}`)),
+        divisionCount: 1,
+        branch: branch,
+        division: division,
+        constraints
+    };
+
+    // Theory is taught to the whole division, labs and tutorials per batch
+    timetableData.batchGroups = buildBatches(timetableData.batches, branch, division);
+    console.log('Batches:', timetableData.batchGroups.map(batch => batch.name));
+
+    return timetableData;
+}
+
+// Active version of each branch/division; kept apart from the timetable_*.json files
+const ACTIVE_TIMETABLES_FILE = path.join(uploadsDir, 'active_timetables.json');
+
+// Key of a branch/division in the active-version index
+function divisionVersionKey(record) {
+    return `${record.branch}|${record.division}`;
+}
+
+// Id of a stored timetable: its file name without '.json'
+function timetableId(filename) {
+    return filename.replace(/\.json$/, '');
+}
+
+// Reads the active timetable id of each branch/division
+async function readActiveTimetables() {
+    try {
+        return JSON.parse(await fs.readFile(ACTIVE_TIMETABLES_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// Marks a stored timetable as the active version of its branch/division
+async function activateTimetable(record) {
+    const active = await readActiveTimetables();
+    active[divisionVersionKey(record)] = timetableId(record.filename);
+    await fs.writeFile(ACTIVE_TIMETABLES_FILE, JSON.stringify(active, null, 2));
+    console.log(`Active timetable for ${record.branch} Division ${record.division}: ${record.filename}`);
+}
+
+/**
+ * Writes a timetable to the uploads folder as the next version of its branch/division and
+ * makes it the active version. Sets `version` and, unless the caller did, `parentId` (the
+ * version it was derived from, by default the previously active one) on the record.
+ * @param {object} record - Timetable record to store.
+ * @param {number} [timestamp] - Used in the file name.
+ * @returns {Promise<string>} - The file name.
+ */
+async function saveTimetableRecord(record, timestamp = Date.now()) {
+    const timetableFile = `timetable_${record.branch}_${record.division}_${timestamp}.json`;
+    const key = divisionVersionKey(record);
+    const lineage = (await readStoredTimetables()).filter(other => divisionVersionKey(other) === key);
+    const active = await readActiveTimetables();
+    
+    record.version = Math.max(lineage.length, ...lineage.map(other => other.version || 0)) + 1;
+    if (record.parentId === undefined) {
+        const previous = currentTimetablePerDivision(lineage, active)[0];
+        record.parentId = previous ? timetableId(previous.filename) : null;
+    }
+    
+    await fs.writeFile(
+        path.join(uploadsDir, timetableFile), 
+        JSON.stringify(record, null, 2)
+    );
+    console.log(`Timetable saved as: ${timetableFile} (version ${record.version})`);
+    await activateTimetable({ ...record, filename: timetableFile });
+    return timetableFile;
+}
+
+// Reads the active timetable of every branch/division
+async function readCurrentTimetables() {
+    return currentTimetablePerDivision(await readStoredTimetables(), await readActiveTimetables());
+}
+
+/**
+ * Reads the stored timetable a regeneration starts from, with the ids of the sessions that
+ * must stay where they are: those listed in `pinned` plus those pinned in an earlier run.
+ * @param {string} id - Timetable id or file name.
+ * @param {string} branch - Branch the new timetable is for.
+ * @param {string} division - Division the new timetable is for.
+ * @param {string[]} [pinned] - Session ids of the baseline to pin.
+ * @returns {Promise<{record: object, sessions: object[], pinnedIds: Set<string>}>}
+ */
+async function readBaselineTimetable(id, branch, division, pinned = []) {
+    const record = await readEditableTimetable(id);
+    if (divisionVersionKey(record) !== divisionVersionKey({ branch, division })) {
+        throw createHttpError(400, `Baseline ${record.filename} belongs to ${record.branch} Division ${record.division}, not ${branch} Division ${division}.`);
+    }
+    if (!Array.isArray(pinned) || pinned.some(sessionId => typeof sessionId !== 'string')) {
+        throw createHttpError(400, '"pinned" must be a list of session ids.');
+    }
+    
+    const editable = new Set(record.sessions.filter(session => session.type !== 'holiday').map(session => session.id));
+    const unknown = pinned.filter(sessionId => !editable.has(sessionId));
+    if (unknown.length > 0) {
+        throw createHttpError(400, `Pinned session(s) not found in ${record.filename}: ${unknown.join(', ')}`);
+    }
+    
+    const pinnedIds = new Set([
+        ...pinned,
+        ...record.sessions.filter(session => session.pinned).map(session => session.id)
+    ]);
+    return { record, sessions: record.sessions, pinnedIds };
+}
+
+/**
+ * Generates one division's timetable from a /generate style request body and stores it.
+ * With a `baselineId` the new timetable is a regeneration of that stored timetable: its
+ * `pinned` sessions stay fixed, the rest move only where the new data requires, and the
+ * result comes back with the changes against the baseline. With `candidates` above 1 the
+ * best of several seeds is stored and the ranking of all of them is returned. With a
+ * `provider` an AI model proposes the timetable first (see `generateTimetableWithAi`). With
+ * `labRotation` the labs run as parallel rotation blocks; a regeneration keeps the baseline's mode.
+ * Elective groups another division's current timetable already schedules keep those slots.
+ * @param {object} body - `{ branch, division, year, allowPartial, labRotation, seed, candidates, baselineId,
+ *   pinned, provider, providerOptions, ...timing options }`.
+ * @returns {Promise<{record: object, filename: string|null, changes?: object, candidates?: object[]}>} - `filename` is null if saving failed.
+ */
+async function generateDivisionRecord(body) {
+    const { branch, division, year, allowPartial, baselineId, pinned } = body;
+    
+    console.log('Generate request received:', { branch, division, year, baselineId });
+    
+    if (pinned !== undefined && !baselineId) {
+        throw createHttpError(400, 'Pinned sessions need a "baselineId", the stored timetable they come from.');
+    }
+    const seed = readGenerationSeed(body);
+    const candidateCount = readCandidateCount(body);
+    const provider = readAiProvider(body);
+    if (provider && baselineId) {
+        throw createHttpError(400, 'Regenerating from a baseline cannot be combined with an AI "provider".');
+    }
+    const baseline = baselineId ? await readBaselineTimetable(baselineId, branch, division, pinned) : null;
+    
+    // A regeneration keeps the baseline's timings unless the request changes them
+    const timetableData = await loadDivisionData(branch, division, readGenerationConstraints({
+        ...baseline?.record.constraints,
+        ...body
+    }));
+    timetableData.allowPartial = allowPartial === true || allowPartial === 'true';
+    const labRotation = body.labRotation ?? baseline?.record.labRotation;
+    timetableData.labRotation = labRotation === true || labRotation === 'true';
+    timetableData.baseline = baseline;
+    timetableData.electiveSlots = await readElectiveSlots(timetableData.electiveGroups, branch, division);
+    timetableData.seed = seed;
+    timetableData.candidates = candidateCount;
+
+    // Build the period grid from college hours, period length, breaks and the policy's days
+    timetableData.dayGrid = buildDayGrid({
+        ...timetableData.constraints,
+        periodLength: timetableData.constraints.theoryDuration,
+        workingDays: timetableData.policy.workingDays,
+        halfDays: timetableData.policy.halfDays
+    });
+    console.log('Day grid:', timetableData.dayGrid.slots.map(slot => slot.label).join(', '));
+
+    console.log('=== RELIABLE TIMETABLE GENERATION ===');
+    console.log(`Generating for ${branch} Division ${division}`);
+
+    const { candidates, ...generated } = provider
+        ? await generateTimetableWithAi(timetableData, provider)
+        : generateReliableTimetable(timetableData);
+
+    console.log(`Generated ${generated.sessions.length} timetable sessions`);
+    console.log('=====================================');
+
+    // Store the structured sessions; the legacy rows are derived when read
+    const record = {
+        formatVersion: TIMETABLE_FORMAT_VERSION,
+        branch,
+        division,
+        year,
+        generatedAt: new Date().toISOString(),
+        constraints: timetableData.constraints,
+        dayGrid: timetableData.dayGrid,
+        batches: timetableData.batchGroups,
+        ...(timetableData.labRotation && { labRotation: true }),
+        generatedBy: 'solver',
+        ...generated
+    };
+    if (baseline) {
+        record.parentId = timetableId(baseline.record.filename);
+        record.baselineId = record.parentId;
+    }
+    
+    let filename = null;
+    await beginJobSaving();
+    try {
+        filename = await saveTimetableRecord(record);
+    } catch (saveError) {
+        console.log('Could not save timetable file:', saveError.message);
+    }
+    
+    const result = { record, filename };
+    if (candidateCount > 1) {
+        result.candidates = candidates;
+    }
+    if (baseline) {
+        result.changes = diffTimetables(baseline.record, record);
+        console.log(`Changes against baseline: ${JSON.stringify(result.changes.summary)}`);
+    }
+    return result;
+}
+
+/**
+ * Reads a stored timetable and measures it. Faculty hours are compared with the division's
+ * Load Dist when its dataset can still be loaded; otherwise `loadDistUnavailable` says why not.
+ * @param {string} id - Timetable id or file name.
+ * @returns {Promise<{record: object, metrics: object}>}
+ */
+async function readTimetableMetrics(id) {
+    const record = await readTimetableRecord(timetableFileName(id));
+    if (!record.sessions || !record.dayGrid) {
+        throw createHttpError(409, `Timetable ${record.filename} was stored before structured sessions; regenerate it to measure it.`);
+    }
+    
+    let dataset = null;
+    let loadDistUnavailable = null;
+    try {
+        const constraints = record.constraints || readGenerationConstraints({});
+        const timetableData = await loadDivisionData(record.branch, record.division, constraints);
+        const courseLoads = buildCourseLoads(timetableData.theoryCourses || [], timetableData.labCourses || [], timetableData.loadDist || [], 1);
+        dataset = {
+            facultyHours: loadDistFacultyHours(courseLoads, (record.batches || []).map(batch => batch.name)),
+            venues: buildVenues(timetableData.venues || []).map(venue => venue.name)
+        };
+    } catch (datasetError) {
+        console.log('Measuring without the dataset:', datasetError.message);
+        loadDistUnavailable = datasetError.message;
+    }
+    
+    const metrics = buildTimetableMetrics(record, dataset);
+    return { record, metrics: loadDistUnavailable ? { ...metrics, loadDistUnavailable } : metrics };
+}
+
+// Reads every stored timetable_*.json record, skipping files that cannot be parsed
+async function readStoredTimetables() {
+    const files = (await fs.readdir(uploadsDir)).filter(file => file.startsWith('timetable_') && file.endsWith('.json'));
+    const records = [];
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(path.join(uploadsDir, file), 'utf-8');
+            records.push({ filename: file, ...JSON.parse(content) });
+        } catch (readError) {
+            console.error(`Could not read timetable file ${file}:`, readError.message);
+        }
+    }
+    return records;
+}
+
+/**
+ * Reads a stored timetable for editing. Only structured (v2) records can be edited,
+ * because moves need the stored day grid and session periods.
+ * @param {string} id - Timetable id or file name.
+ * @returns {Promise<object>}
+ */
+async function readEditableTimetable(id) {
+    const record = await readTimetableRecord(timetableFileName(id));
+    if (!record.sessions || !record.dayGrid) {
+        throw createHttpError(409, `Timetable ${record.filename} was stored before structured sessions; regenerate it to edit it.`);
+    }
+    return record;
+}
+
+/**
+ * Checks the faculty member and/or venue a session is reassigned to against the division's
+ * dataset, so an edit never brings in a name the Faculty, Load Dist or Venue sheets (or the
+ * division's elective groups) do not have.
+ * @param {object} record - Timetable being edited.
+ * @param {{faculty?: string, venue?: string}} names - New names; missing ones are not checked.
+ * @returns {Promise<{faculty?: string, venue?: string}>} - The names as the dataset spells them.
+ */
+async function resolveDatasetNames(record, names) {
+    let timetableData;
+    try {
+        timetableData = await loadDivisionData(record.branch, record.division, record.constraints || readGenerationConstraints({}));
+    } catch (datasetError) {
+        throw createHttpError(422, `Cannot check the new names against the dataset of ${record.branch}${record.division}: ${datasetError.message}`);
+    }
+    
+    const known = {
+        faculty: [
+            ...buildFacultyProfiles(timetableData.faculty || []).map(profile => profile.name),
+            ...(timetableData.loadDist || []).map(row => readField(row, FIELD_NAMES.faculty)?.toString().trim()),
+            ...(timetableData.electiveGroups || []).flatMap(group => group.courses.map(course => course.faculty))
+        ],
+        venue: [
+            ...buildVenues(timetableData.venues || []).map(venue => venue.name),
+            ...(timetableData.electiveGroups || []).flatMap(group => group.courses.map(course => course.venue))
+        ]
+    };
+    
+    const resolved = {};
+    for (const field of ['faculty', 'venue']) {
+        if (!names[field]) continue;
+        const match = known[field].find(name => name && name.toLowerCase() === names[field].toLowerCase());
+        if (!match) {
+            throw createHttpError(422,
+                `${names[field]} is not a ${field === 'faculty' ? 'faculty member' : 'venue'} in the dataset of ${record.branch}${record.division}; ` +
+                `add it to the ${field === 'faculty' ? 'Faculty' : 'Venue'} sheet first.`,
+                { [field]: names[field] });
+        }
+        resolved[field] = match;
+    }
+    return resolved;
+}
+
+/**
+ * Checks an edit for clashes against the whole timetable and the active timetables of the
+ * other divisions, then stores the result as a new, active version of the timetable with
+ * the change added to its `edits` log. Only the active version can be edited: an edit of an
+ * older one would silently drop the versions made since, so it has to be activated first.
+ * @param {object} record - Timetable from `readEditableTimetable`.
+ * @param {object[]} sessions - Its sessions after the edit.
+ * @param {object} edit - `{ action, sessionIds, ... }` describing the change.
+ * @returns {Promise<object>} - The new version, with its `filename`.
+ */
+async function applyTimetableEdit(record, sessions, edit) {
+    const currentRecords = await readCurrentTimetables();
+    const current = currentRecords.find(other => divisionVersionKey(other) === divisionVersionKey(record));
+    if (current && current.filename !== record.filename) {
+        throw createHttpError(409,
+            `Timetable ${timetableId(record.filename)} is not the active version of ${record.branch}${record.division}; ` +
+            `edit ${timetableId(current.filename)} instead, or activate this version first.`,
+            { activeId: timetableId(current.filename) });
+    }
+    const otherRecords = currentRecords
+        .filter(other => other.branch !== record.branch || other.division !== record.division);
+    const conflicts = findEditConflicts(record, sessions, edit.sessionIds, otherRecords);
+    if (conflicts.length > 0) {
+        throw createHttpError(409,
+            `Edit rejected: ${conflicts[0].message}` +
+            (conflicts.length > 1 ? ` (${conflicts.length - 1} more conflict${conflicts.length > 2 ? 's' : ''})` : ''),
+            { conflicts });
+    }
+
+    const { filename, version, parentId, ...stored } = record;
+    const updated = {
+        ...stored,
+        generatedAt: new Date().toISOString(),
+        parentId: timetableId(filename),
+        sessions: sortTimetableSessions(sessions),
+        edits: [...(record.edits || []), { ...edit, at: new Date().toISOString() }]
+    };
+    const newFilename = await saveTimetableRecord(updated);
+    return { filename: newFilename, ...updated };
+}
+
+// Stored file name of a timetable id (the file name with or without '.json')
+function timetableFileName(id) {
+    return id.endsWith('.json') ? id : `${id}.json`;
+}
+
+// Reads a stored timetable_*.json record by file name
+async function readTimetableRecord(filename) {
+    const name = path.basename(String(filename || ''));
+    if (!/^timetable_.+\.json$/.test(name)) {
+        throw createHttpError(400, `"${filename}" is not a stored timetable file name.`);
+    }
+    try {
+        const content = await fs.readFile(path.join(uploadsDir, name), 'utf-8');
+        return { filename: name, ...JSON.parse(content) };
+    } catch (error) {
+        if (error.code === 'ENOENT') throw createHttpError(404, `Timetable ${name} not found.`);
+        throw error;
+    }
+}
+
+/**
+ * Generates linked timetables for every branch/division in one run, solving all divisions
+ * together so shared faculty and venues are never double-booked, and stores them.
+ * @param {object} body - `{ year, allowPartial, labRotation, seed, ...timing options }`.
+ * @returns {Promise<{runId: string, generatedAt: string, timetables: object[], skipped: object[]}>} -
+ *   `timetables` are the stored records with their `filename`.
+ */
+async function generateInstitutionRecords(body) {
+    const { year, allowPartial } = body;
+    const labRotation = body.labRotation === true || body.labRotation === 'true';
+    const constraints = readGenerationConstraints(body);
+    const seed = readGenerationSeed(body);
+    const policy = await readInstitutionPolicy();
+    const dayGrid = buildDayGrid({
+        ...constraints,
+        periodLength: constraints.theoryDuration,
+        workingDays: policy.workingDays,
+        halfDays: policy.halfDays
+    });
+    
+    const { pairs } = await discoverBranchesDivisions();
+    console.log('Institution-wide generation for:', pairs.map(pair => `${pair.branch}${pair.division}`));
+    
+    if (pairs.length === 0) {
+        throw createHttpError(404, 'No branches or divisions found in the uploaded data. Please upload data first.');
+    }
+    
+    // Divisions without course data are reported instead of failing the whole run
+    const divisionsData = [];
+    const skipped = [];
+    for (const { branch, division } of pairs) {
+        try {
+            const timetableData = await loadDivisionData(branch, division, constraints);
+            timetableData.dayGrid = dayGrid;
+            timetableData.allowPartial = allowPartial === true || allowPartial === 'true';
+            timetableData.labRotation = labRotation;
+            divisionsData.push(timetableData);
+        } catch (loadError) {
+            console.log(`Skipping ${branch} Division ${division}:`, loadError.message);
+            skipped.push({ branch, division, reason: loadError.message });
+        }
+    }
+    
+    if (divisionsData.length === 0) {
+        throw createHttpError(422, 'None of the discovered divisions have course data.', { skipped });
+    }
+    
+    const results = generateInstitutionTimetables(divisionsData, {
+        allowPartial: allowPartial === true || allowPartial === 'true',
+        seed
+    });
+    
+    // Store one timetable per division, all linked through the run id
+    await beginJobSaving();
+    const timestamp = Date.now();
+    const runId = `run_${timestamp}`;
+    const generatedAt = new Date(timestamp).toISOString();
+    const fileNames = results.map(result => `timetable_${result.branch}_${result.division}_${timestamp}.json`);
+    
+    const timetables = [];
+    for (const [index, result] of results.entries()) {
+        const record = {
+            formatVersion: TIMETABLE_FORMAT_VERSION,
+            branch: result.branch,
+            division: result.division,
+            year,
+            generatedAt,
+            runId,
+            linkedTimetables: fileNames.filter(name => name !== fileNames[index]),
+            seed,
+            constraints,
+            dayGrid,
+            batches: result.batches,
+            ...(labRotation && { labRotation: true }),
+            generatedBy: 'solver',
+            ...result.timetable
+        };
+        const filename = await saveTimetableRecord(record, timestamp);
+        timetables.push({ filename, ...record });
+    }
+    
+    return { runId, generatedAt, timetables, skipped };
+}
+
+/**
+ * Reads the exam window and rules of an exam generation request.
+ * - `startDate`, `endDate`: first and last date of the window ('YYYY-MM-DD').
+ * - `excludedDates`: dates without exams, e.g. public holidays.
+ * - `sessions`: exam sessions of a day `{ name, start, end }`, by default a morning and an afternoon one.
+ * - `minGapDays`: calendar days between two exams of a batch, 1 (the default) = not on the same day.
+ * - `invigilatorsPerRoom`: invigilators each exam room needs, 1 by default.
+ * @param {object} body - Request body.
+ * @returns {object}
+ */
+function readExamOptions(body) {
+    const startDate = parseCalendarDate(body.startDate);
+    const endDate = parseCalendarDate(body.endDate);
+    if (!startDate || !endDate) {
+        throw createHttpError(400, 'Send the exam window as "startDate" and "endDate" (YYYY-MM-DD).');
+    }
+    if (endDate < startDate) {
+        throw createHttpError(400, '"endDate" must not be before "startDate".');
+    }
+    if ((endDate - startDate) / DAY_MS + 1 > MAX_EXAM_WINDOW_DAYS) {
+        throw createHttpError(400, `The exam window may span at most ${MAX_EXAM_WINDOW_DAYS} days.`);
+    }
+    
+    const excludedDates = body.excludedDates ?? [];
+    if (!Array.isArray(excludedDates) || excludedDates.some(date => !parseCalendarDate(date))) {
+        throw createHttpError(400, '"excludedDates" must be a list of dates (YYYY-MM-DD).');
+    }
+    
+    const sessions = body.sessions === undefined ? DEFAULT_EXAM_SESSIONS : body.sessions;
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        throw createHttpError(400, '"sessions" must list the exam sessions of a day, e.g. [{ "name": "Morning", "start": "10:00", "end": "13:00" }].');
+    }
+    const examSessions = sessions.map((session, index) => {
+        const name = session?.name?.toString().trim() || `Session ${index + 1}`;
+        const start = parseClockTime(session?.start);
+        const end = parseClockTime(session?.end);
+        if (start === null || end === null || end <= start) {
+            throw createHttpError(400, `Exam session "${name}" needs a "start" before its "end", e.g. "10:00" and "13:00".`);
+        }
+        return { name, start: formatClockTime(start), end: formatClockTime(end) };
+    }).sort((a, b) => a.start.localeCompare(b.start));
+    if (new Set(examSessions.map(session => session.name.toLowerCase())).size !== examSessions.length) {
+        throw createHttpError(400, 'Exam sessions need different names.');
+    }
+    
+    const readCount = (field, fallback) => {
+        if (body[field] === undefined || body[field] === null || body[field] === '') return fallback;
+        const count = Number(body[field]);
+        if (!Number.isInteger(count) || count < 1) {
+            throw createHttpError(400, `"${field}" must be a whole number of at least 1, got "${body[field]}".`);
+        }
+        return count;
+    };
+    
+    return {
+        startDate: body.startDate,
+        endDate: body.endDate,
+        excludedDates,
+        sessions: examSessions,
+        minGapDays: readCount('minGapDays', 1),
+        invigilatorsPerRoom: readCount('invigilatorsPerRoom', 1)
+    };
+}
+
+/**
+ * Generates an exam timetable for one division, or for every division when the request names
+ * none, and stores it. Divisions taking the same course sit one common exam. Rooms are the
+ * classrooms of the Venue sheet, filled by capacity; invigilators come from the Faculty sheet.
+ * @param {object} body - `{ branch, division, year, allowPartial, seed, ...exam options }`, see `readExamOptions`.
+ * @returns {Promise<object>} - The stored record with its `filename`.
+ */
+async function generateExamRecord(body) {
+    const { branch, division, year } = body;
+    if (Boolean(branch) !== Boolean(division)) {
+        throw createHttpError(400, 'Send both "branch" and "division" for one division, or neither for every division.');
+    }
+    const options = readExamOptions(body);
+    const seed = readGenerationSeed(body);
+    const allowPartial = body.allowPartial === true || body.allowPartial === 'true';
+    const policy = await readInstitutionPolicy();
+    const slots = buildExamSlots(options, policy);
+    if (slots.length === 0) {
+        throw createHttpError(422, 'The exam window has no working day that is not excluded.');
+    }
+    
+    const pairs = branch ? [{ branch, division }] : (await discoverBranchesDivisions()).pairs;
+    if (pairs.length === 0) {
+        throw createHttpError(404, 'No branches or divisions found in the uploaded data. Please upload data first.');
+    }
+    console.log(`📝 Exam timetable for ${pairs.map(pair => `${pair.branch}${pair.division}`).join(', ')}: ${slots.length} slots from ${options.startDate} to ${options.endDate}`);
+    
+    // Divisions without course data are reported instead of failing the whole run
+    const divisionsData = [];
+    const skipped = [];
+    for (const pair of pairs) {
+        try {
+            divisionsData.push(await loadDivisionData(pair.branch, pair.division, readGenerationConstraints({})));
+        } catch (loadError) {
+            if (branch) throw loadError;
+            console.log(`Skipping ${pair.branch} Division ${pair.division}:`, loadError.message);
+            skipped.push({ branch: pair.branch, division: pair.division, reason: loadError.message });
+        }
+    }
+    if (divisionsData.length === 0) {
+        throw createHttpError(422, 'None of the discovered divisions have course data.', { skipped });
+    }
+    
+    const exams = mergeExams(divisionsData.flatMap(buildDivisionExams));
+    const withoutStrength = [...new Set(exams.filter(exam => exam.students === null).flatMap(exam => exam.divisions))];
+    if (withoutStrength.length > 0) {
+        throw createHttpError(422,
+            `Rooms are allocated by seats, but the Batch Details of ${withoutStrength.join(', ')} have no strength for every batch.`,
+            { divisions: withoutStrength });
+    }
+    
+    const rooms = new Map();
+    divisionsData.flatMap(data => buildVenues(data.venues || []))
+        .filter(venue => venueTypeMatches(venue.type, 'classroom') && venue.capacity)
+        .forEach(venue => rooms.has(venue.name) || rooms.set(venue.name, { name: venue.name, capacity: venue.capacity }));
+    if (rooms.size === 0) {
+        throw createHttpError(422, 'No classroom in the Venue sheet has a capacity; exam rooms are allocated by seats.');
+    }
+    
+    const faculty = [...new Set(divisionsData.flatMap(data => (data.faculty || [])
+        .map(row => readField(row, FIELD_NAMES.facultyName)?.toString().trim())
+        .filter(Boolean)))];
+    if (faculty.length === 0) {
+        throw createHttpError(422, 'The Faculty sheet has no names to assign as invigilators.');
+    }
+    
+    const random = createSeededRandom(seed);
+    const result = solveExamSchedule(exams, slots, [...rooms.values()], {
+        minGapDays: options.minGapDays,
+        invigilatorsPerRoom: options.invigilatorsPerRoom,
+        invigilatorCount: faculty.length,
+        random
+    });
+    const unscheduled = result.unplaced.map(exam => ({
+        courseCode: exam.courseCode || null,
+        courseName: exam.courseName,
+        divisions: exam.divisions,
+        students: exam.students,
+        reason: `No slot keeps ${options.minGapDays} day(s) from the batches' other exams with enough free rooms and invigilators.`
+    }));
+    if (!result.complete && !allowPartial) {
+        throw createHttpError(422,
+            `${unscheduled.length} exam(s) do not fit the window. Widen the window, add sessions or lower "minGapDays".`,
+            { unscheduled });
+    }
+    
+    const invigilation = assignInvigilators(result.placed, faculty, options.invigilatorsPerRoom, random);
+    console.log(`✅ Scheduled ${result.placed.length} of ${exams.length} exams, ${invigilation.shortages.length} room(s) short of invigilators`);
+    
+    const timestamp = Date.now();
+    const record = {
+        kind: 'exam',
+        branch: branch || null,
+        division: division || null,
+        divisions: divisionsData.map(data => `${data.branch}${data.division}`),
+        year,
+        generatedAt: new Date(timestamp).toISOString(),
+        seed,
+        window: { startDate: options.startDate, endDate: options.endDate, excludedDates: options.excludedDates },
+        sessions: options.sessions,
+        minGapDays: options.minGapDays,
+        invigilatorsPerRoom: options.invigilatorsPerRoom,
+        exams: result.placed.map(formatExam).sort((a, b) =>
+            a.date.localeCompare(b.date) || a.start.localeCompare(b.start) || a.courseName.localeCompare(b.courseName)
+        ),
+        unscheduled,
+        invigilation: invigilation.duties,
+        invigilatorShortages: invigilation.shortages,
+        skipped
+    };
+    
+    const filename = `exams_${branch ? `${branch}_${division}` : 'all'}_${timestamp}.json`;
+    await fs.writeFile(path.join(uploadsDir, filename), JSON.stringify(record, null, 2));
+    console.log(`Exam timetable saved as: ${filename}`);
+    return { filename, ...record };
+}
+
+// Reads every stored exams_*.json record, skipping files that cannot be parsed
+async function readStoredExamTimetables() {
+    const files = (await fs.readdir(uploadsDir)).filter(file => file.startsWith('exams_') && file.endsWith('.json'));
+    const records = [];
+    for (const file of files) {
+        try {
+            records.push({ filename: file, ...JSON.parse(await fs.readFile(path.join(uploadsDir, file), 'utf-8')) });
+        } catch (readError) {
+            console.error(`Could not read exam timetable file ${file}:`, readError.message);
+        }
+    }
+    return records;
+}
+
+// Reads a stored exam timetable by id (its file name with or without '.json')
+async function readExamRecord(id) {
+    const name = path.basename(timetableFileName(String(id || '')));
+    if (!/^exams_.+\.json$/.test(name)) {
+        throw createHttpError(400, `"${id}" is not a stored exam timetable.`);
+    }
+    try {
+        return { filename: name, ...JSON.parse(await fs.readFile(path.join(uploadsDir, name), 'utf-8')) };
+    } catch (error) {
+        if (error.code === 'ENOENT') throw createHttpError(404, `Exam timetable ${name} not found.`);
+        throw error;
+    }
+}
+
+// --- Generation Jobs ---
+
+// Jobs by id; finished ones stay readable until MAX_FINISHED_JOBS newer ones have finished
+const generationJobs = new Map();
+
+// Jobs solved at the same time; the others wait in the queue
+const MAX_RUNNING_JOBS = 1;
+
+// Finished jobs kept in memory for status requests
+const MAX_FINISHED_JOBS = 50;
+
+// States a job ends in
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+let jobCounter = 0;
+
+// Sends solver progress to the job's main thread when running inside a generation job worker
+function reportJobProgress(progress) {
+    if (!isMainThread) parentPort.postMessage({ type: 'progress', progress });
+}
+
+/**
+ * Inside a generation job worker, waits until the main thread agrees to let the job save its
+ * timetables; from then on the job can no longer be cancelled, so a cancellation never stops it
+ * halfway through writing the records of a run. Outside a job it resolves straight away.
+ */
+function beginJobSaving() {
+    if (isMainThread) return Promise.resolve();
+    return new Promise(resolve => {
+        parentPort.once('message', resolve);
+        parentPort.postMessage({ type: 'saving' });
+    });
+}
+
+// Public view of a job
+function describeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        request: job.request,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        ...(job.result && { result: job.result }),
+        ...(job.error && { error: job.error })
+    };
+}
+
+// Sends an event to everyone following a job's progress stream
+function emitJobEvent(job, event, data) {
+    job.listeners.forEach(listener => listener(event, data));
+}
+
+// Moves a job to a finished state (once) and starts the next queued job
+function finishJob(job, status, fields = {}) {
+    if (FINISHED_JOB_STATUSES.includes(job.status)) return;
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    console.log(`${status === 'completed' ? '✅' : '⚠️'} Job ${job.id} ${status}`);
+    emitJobEvent(job, status, describeJob(job));
+    job.listeners.clear();
+    
+    const finished = [...generationJobs.values()].filter(other => FINISHED_JOB_STATUSES.includes(other.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(old => generationJobs.delete(old.id));
+    startQueuedJobs();
+}
+
+// Starts queued jobs, oldest first, while fewer than MAX_RUNNING_JOBS are running
+function startQueuedJobs() {
+    const jobs = [...generationJobs.values()];
+    let running = jobs.filter(job => job.status === 'running').length;
+    for (const job of jobs.filter(other => other.status === 'queued')) {
+        if (running >= MAX_RUNNING_JOBS) break;
+        runJobWorker(job);
+        running++;
+    }
+}
+
+/**
+ * Runs a job in a worker thread that loads this same module (without starting the server),
+ * so a long search neither blocks other requests nor outlives a cancellation.
+ */
+function runJobWorker(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emitJobEvent(job, 'status', describeJob(job));
+    console.log(`🚀 Job ${job.id} started`);
+    
+    const worker = new Worker(new URL(import.meta.url), { workerData: { body: job.body } });
+    job.worker = worker;
+    worker.on('message', message => {
+        if (message.type === 'progress') {
+            job.progress = message.progress;
+            emitJobEvent(job, 'progress', message.progress);
+        } else if (message.type === 'saving') {
+            job.saving = true;
+            job.progress = { stage: 'saving' };
+            emitJobEvent(job, 'progress', job.progress);
+            worker.postMessage({ type: 'save' });
+        } else if (message.type === 'completed') {
+            finishJob(job, 'completed', { result: message.result });
+            worker.terminate();
+        } else if (message.type === 'failed') {
+            finishJob(job, 'failed', { error: message.error });
+            worker.terminate();
+        }
+    });
+    worker.on('error', error => finishJob(job, 'failed', { error: { status: 500, message: error.message } }));
+    worker.on('exit', () => {
+        job.worker = null;
+        finishJob(job, 'failed', { error: { status: 500, message: 'The job stopped before it finished.' } });
+    });
+}
+
+/**
+ * Queues a generation job. A body with `branch` and `division` generates that division like
+ * POST /generate (baselines, candidates and providers included); a body without them generates
+ * every division together like POST /api/generate/all.
+ * @param {object} body - Generation request.
+ * @returns {object} - The queued job.
+ */
+function createGenerationJob(body) {
+    if (Boolean(body.branch) !== Boolean(body.division)) {
+        throw createHttpError(400, 'Send both "branch" and "division" for one division, or neither to generate every division.');
+    }
+    const job = {
+        id: `job_${Date.now()}_${++jobCounter}`,
+        status: 'queued',
+        request: body.branch ? { scope: 'division', branch: body.branch, division: body.division } : { scope: 'all' },
+        body,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        progress: null,
+        result: null,
+        error: null,
+        worker: null,
+        saving: false,
+        listeners: new Set()
+    };
+    generationJobs.set(job.id, job);
+    startQueuedJobs();
+    return job;
+}
+
+// Finds a job by id
+function findGenerationJob(id) {
+    const job = generationJobs.get(id);
+    if (!job) {
+        throw createHttpError(404, `Generation job ${id} not found.`);
+    }
+    return job;
+}
+
+// Cancels a queued or running job; a running job's worker is stopped straight away, unless it
+// has started saving its timetables (see `beginJobSaving`)
+async function cancelGenerationJob(job) {
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        throw createHttpError(409, `Job ${job.id} has already ${job.status === 'completed' ? 'completed' : job.status}.`);
+    }
+    if (job.saving) {
+        throw createHttpError(409, `Job ${job.id} is already saving its timetables and can no longer be cancelled.`);
+    }
+    const worker = job.worker;
+    finishJob(job, 'cancelled');
+    if (worker) await worker.terminate();
+}
+
+// Short summary of a stored timetable for a job result
+function summarizeJobTimetable({ filename, ...record }) {
+    return {
+        id: timetableId(filename),
+        branch: record.branch,
+        division: record.division,
+        generatedBy: record.generatedBy,
+        seed: record.seed,
+        ...(record.quality && { quality: record.quality }),
+        unscheduled: (record.unscheduled || []).length
+    };
+}
+
+// Worker side of a job: generates, stores the timetables and reports the outcome to the main thread
+async function runGenerationJob(body) {
+    try {
+        let result;
+        if (body.branch) {
+            const { record, filename, changes, candidates } = await generateDivisionRecord(body);
+            if (!filename) {
+                throw createHttpError(500, 'The timetable was generated but could not be saved.');
+            }
+            result = {
+                timetables: [summarizeJobTimetable({ filename, ...record })],
+                ...(changes && { changes }),
+                ...(candidates && { candidates })
+            };
+        } else {
+            const { runId, timetables, skipped } = await generateInstitutionRecords(body);
+            result = { runId, timetables: timetables.map(summarizeJobTimetable), skipped };
+        }
+        parentPort.postMessage({ type: 'completed', result });
+    } catch (error) {
+        console.error('Generation job error:', error);
+        parentPort.postMessage({
+            type: 'failed',
+            error: {
+                status: error.status || 500,
+                message: error.message || 'An unknown error occurred during timetable generation.',
+                ...(error.details && { details: error.details })
+            }
+        });
+    }
+}
+
+// --- Routes ---
+
+// GET route for the home page
+app.get('/', (req, res) => {
+    res.render('index');
+});
+
+// POST route to handle file upload
+app.post('/upload', upload.single('excelFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Please select a file to upload.' 
+            });
+        }
+
+        const filePath = req.file.path;
+        const fileName = req.file.filename;
+        const fileExtension = path.extname(fileName).toLowerCase();
+
+        // Handle different file types
+        if (fileExtension === '.csv') {
+            // For CSV files, verify they can be parsed
+            try {
+                const csvData = await parseCSVFile(filePath);
+                if (csvData.length === 0) {
+                    await fs.unlink(filePath);
+                    return res.status(400).json({
+                        success: false,
+                        error: 'CSV file contains no data.'
+                    });
+                }
+            } catch (csvError) {
+                await fs.unlink(filePath);
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid CSV file: ${csvError.message}`
+                });
+            }
+        } else {
+            // For Excel files, verify structure
+            try {
                 const workbook = xlsx.readFile(filePath);
                 const sheetNames = workbook.SheetNames;
                 
-                if (sheetNames.length === 0) {
-                    await fs.unlink(filePath);
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Excel file contains no sheets.'
-                    });
+                if (sheetNames.length === 0) {
+                    await fs.unlink(filePath);
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Excel file contains no sheets.'
+                    });
+                }
+                
+                // For DS*_Dataset.xlsx files, check required sheets
+                if (fileName.match(/^DS\d+_Dataset\.xlsx$/)) {
+                    const requiredSheets = ['Theory Courses', 'Lab Courses', 'Faculty', 'Load Dist', 'Batch Details', 'Venue'];
+                    const missingSheets = requiredSheets.filter(sheet => !sheetNames.includes(sheet));
+                    
+                    if (missingSheets.length > 0) {
+                        await fs.unlink(filePath);
+                        return res.status(400).json({
+                            success: false,
+                            error: `Missing required sheets: ${missingSheets.join(', ')}`
+                        });
+                    }
+                }
+                
+            } catch (excelError) {
+                await fs.unlink(filePath);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid Excel file format or corrupted file.'
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `File '${fileName}' uploaded successfully to backend!`,
+            fileName: fileName,
+            filePath: filePath,
+            fileType: fileExtension.substring(1).toUpperCase()
+        });
+
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'An error occurred during file upload.'
+        });
+    }
+});
+
+// GET route to list uploaded files
+app.get('/files', async (req, res) => {
+    try {
+        const files = await fs.readdir(uploadsDir);
+        const dataFiles = files.filter(file => {
+            const ext = path.extname(file).toLowerCase();
+            return ['.xlsx', '.xls', '.csv'].includes(ext);
+        });
+        
+        // Get file stats for additional info
+        const fileDetails = await Promise.all(
+            dataFiles.map(async (file) => {
+                const filePath = path.join(uploadsDir, file);
+                const stats = await fs.stat(filePath);
+                return {
+                    name: file,
+                    size: stats.size,
+                    uploadDate: stats.mtime,
+                    type: path.extname(file).substring(1).toUpperCase()
+                };
+            })
+        );
+        
+        res.json({
+            success: true,
+            files: dataFiles,
+            fileDetails: fileDetails
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve file list.'
+        });
+    }
+});
+
+// GET route to get available branches and divisions from uploaded data
+app.get('/api/branches-divisions', async (req, res) => {
+    try {
+        const { excelFiles, branches, divisions } = await discoverBranchesDivisions();
+        
+        if (excelFiles.length === 0) {
+            return res.json({
+                success: true,
+                data: { branches: [], divisions: [], message: 'No Excel files uploaded yet' }
+            });
+        }
+        
+        console.log('Final branches:', branches);
+        console.log('Final divisions:', divisions);
+        
+        res.json({
+            success: true,
+            data: {
+                branches,
+                divisions,
+                availableFiles: excelFiles,
+                debug: {
+                    totalFiles: excelFiles.length,
+                    branchesFound: branches.length,
+                    divisionsFound: divisions.length
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching branches/divisions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch available branches and divisions: ' + error.message
+        });
+    }
+});
+
+// GET route to retrieve stored timetables
+app.get('/api/timetables', async (req, res) => {
+    try {
+        const { branch, division } = req.query;
+        const uploadsPath = path.join(__dirname, 'uploads');
+        
+        console.log('=== TIMETABLES API DEBUG ===');
+        console.log('Query params:', { branch, division });
+        console.log('Uploads path:', uploadsPath);
+        
+        const allFiles = await fs.readdir(uploadsPath);
+        console.log('All files in uploads:', allFiles);
+        
+        // Find timetable files
+        let timetableFiles = allFiles.filter(file => 
+            file.startsWith('timetable_') && file.endsWith('.json')
+        );
+        console.log('Timetable files found:', timetableFiles);
+        
+        // Filter by branch/division if specified
+        if (branch || division) {
+            const originalCount = timetableFiles.length;
+            timetableFiles = timetableFiles.filter(file => {
+                const matchesBranch = !branch || file.toLowerCase().includes(branch.toLowerCase());
+                const matchesDivision = !division || file.includes(division.toString());
+                console.log(`File ${file}: branch match=${matchesBranch}, division match=${matchesDivision}`);
+                return matchesBranch && matchesDivision;
+            });
+            console.log(`Filtered from ${originalCount} to ${timetableFiles.length} files`);
+        }
+        
+        const timetables = [];
+        const active = await readActiveTimetables();
+        
+        for (const file of timetableFiles) {
+            try {
+                const filePath = path.join(uploadsPath, file);
+                console.log(`Reading file: ${filePath}`);
+                const content = await fs.readFile(filePath, 'utf-8');
+                const timetableData = JSON.parse(content);
+                
+                console.log(`File ${file} contains:`, {
+                    branch: timetableData.branch,
+                    division: timetableData.division,
+                    hasSessions: !!(timetableData.sessions?.length || timetableData.timetable?.rows?.length)
+                });
+                
+                timetables.push(withLegacyView({
+                    filename: file,
+                    ...timetableData,
+                    active: active[divisionVersionKey(timetableData)] === timetableId(file)
+                }));
+            } catch (readError) {
+                console.error(`Could not read timetable file ${file}:`, readError.message);
+            }
+        }
+        
+        // Sort by generation date (newest first)
+        timetables.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+        
+        console.log(`Returning ${timetables.length} timetables`);
+        console.log('===========================');
+        
+        res.json({
+            success: true,
+            data: timetables
+        });
+        
+    } catch (error) {
+        console.error('Error fetching timetables:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch timetables: ' + error.message
+        });
+    }
+});
+
+
+// GET route to parse and return data from a specific file
+app.get('/parse/:filename', async (req, res) => {
+    try {
+        const filename = req.params.filename;
+        const filePath = path.join(uploadsDir, filename);
+        
+        // Check if file exists
+        try {
+            await fs.access(filePath);
+        } catch {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found.'
+            });
+        }
+        
+        const fileExtension = path.extname(filename).toLowerCase();
+        let parsedData = {};
+        
+        if (fileExtension === '.csv') {
+            // Parse CSV file
+            const csvData = await parseCSVFile(filePath);
+            if (csvData.length > 0) {
+                const dataType = detectDataType(csvData[0]);
+                parsedData[dataType] = csvData;
+            }
+        } else {
+            // Parse Excel file
+            const workbook = xlsx.readFile(filePath);
+            const sheetNames = workbook.SheetNames;
+            
+            // Helper function to safely read a sheet
+            const getSheetData = (sheetName) => {
+                const sheet = workbook.Sheets[sheetName];
+                if (!sheet) return [];
+                return xlsx.utils.sheet_to_json(sheet);
+            };
+            
+            // Parse common sheet names and map to standard format
+            if (sheetNames.includes('Theory Courses')) {
+                parsedData.subjects = getSheetData('Theory Courses');
+            }
+            if (sheetNames.includes('Lab Courses')) {
+                if (!parsedData.subjects) parsedData.subjects = [];
+                parsedData.subjects = [...parsedData.subjects, ...getSheetData('Lab Courses')];
+            }
+            if (sheetNames.includes('Faculty')) {
+                parsedData.faculty = getSheetData('Faculty');
+            }
+            if (sheetNames.includes('Venue')) {
+                parsedData.rooms = getSheetData('Venue');
+            }
+            if (sheetNames.includes('Batch Details')) {
+                parsedData.students = getSheetData('Batch Details');
+            }
+            
+            // If no standard sheets found, try to detect data type from first sheet
+            if (Object.keys(parsedData).length === 0 && sheetNames.length > 0) {
+                const firstSheetData = getSheetData(sheetNames[0]);
+                if (firstSheetData.length > 0) {
+                    const dataType = detectDataType(firstSheetData[0]);
+                    parsedData[dataType] = firstSheetData;
+                }
+            }
+        }
+        
+        res.json({
+            success: true,
+            data: parsedData,
+            filename: filename
+        });
+        
+    } catch (error) {
+        console.error('Parse error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to parse file.'
+        });
+    }
+});
+
+// DELETE route to remove uploaded files
+app.delete('/files/:filename', async (req, res) => {
+    try {
+        const filename = req.params.filename;
+        const filePath = path.join(uploadsDir, filename);
+        
+        // Check if file exists
+        try {
+            await fs.access(filePath);
+        } catch {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found.'
+            });
+        }
+        
+        // Delete the file
+        await fs.unlink(filePath);
+        
+        res.json({
+            success: true,
+            message: `File '${filename}' deleted successfully.`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete file.'
+        });
+    }
+});
+
+// POST route to generate timetable for specific branch/division
+app.post('/generate', async (req, res) => {
+    try {
+        const { record, changes, candidates } = await generateDivisionRecord(req.body);
+
+        // Return JSON response instead of rendering (for API usage)
+        res.json({
+            success: true,
+            data: {
+                branch: record.branch,
+                division: record.division,
+                year: record.year,
+                timetable: toLegacyTimetable(record),
+                dayGrid: record.dayGrid,
+                batches: record.batches,
+                generatedAt: record.generatedAt,
+                seed: record.seed,
+                quality: record.quality,
+                generatedBy: record.generatedBy,
+                ...(record.ai && { ai: record.ai }),
+                ...(record.skippedBlocks && { skippedBlocks: record.skippedBlocks }),
+                ...(candidates && { candidates }),
+                ...(changes && { baselineId: record.baselineId, changes })
+            }
+        });
+
+    } catch (error) {
+        console.error('Timetable generation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'An unknown error occurred during timetable generation.',
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// POST route to generate linked timetables for every branch/division in one run
+app.post('/api/generate/all', async (req, res) => {
+    try {
+        const { runId, generatedAt, timetables, skipped } = await generateInstitutionRecords(req.body);
+        
+        res.json({
+            success: true,
+            data: {
+                runId,
+                generatedAt,
+                timetables: timetables.map(withLegacyView),
+                skipped
+            }
+        });
+        
+    } catch (error) {
+        console.error('Institution-wide generation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'An unknown error occurred during timetable generation.',
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// POST route to queue a generation job; the result is stored like any generated timetable
+app.post('/api/jobs/generate', (req, res) => {
+    try {
+        const job = createGenerationJob(req.body);
+        res.status(202).json({
+            success: true,
+            data: describeJob(job)
+        });
+    } catch (error) {
+        console.error('Generation job error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to start the generation job.'
+        });
+    }
+});
+
+// GET route for a generation job's status, progress and (once completed) result
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: describeJob(findGenerationJob(req.params.id))
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to read the generation job.'
+        });
+    }
+});
+
+// GET route streaming a job's progress as Server-Sent Events: 'status' first, then 'progress'
+// while solving, and one of 'completed', 'failed' or 'cancelled' before the stream closes
+app.get('/api/jobs/:id/events', (req, res) => {
+    let job;
+    try {
+        job = findGenerationJob(req.params.id);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        send(job.status, describeJob(job));
+        return res.end();
+    }
+    send('status', describeJob(job));
+    const listener = (event, data) => {
+        send(event, data);
+        if (FINISHED_JOB_STATUSES.includes(event)) res.end();
+    };
+    job.listeners.add(listener);
+    req.on('close', () => job.listeners.delete(listener));
+});
+
+// POST route to cancel a queued or running generation job
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = findGenerationJob(req.params.id);
+        await cancelGenerationJob(job);
+        res.json({
+            success: true,
+            data: describeJob(job)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to cancel the generation job.'
+        });
+    }
+});
+
+// GET route to download a stored timetable as an Excel workbook
+app.get('/api/timetables/:id/export.xlsx', async (req, res) => {
+    try {
+        const record = await readTimetableRecord(timetableFileName(req.params.id));
+        
+        const workbook = buildTimetableWorkbook(record);
+        const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        console.log(`Exported ${record.filename} with sheets:`, workbook.SheetNames);
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${record.filename.replace(/\.json$/, '')}.xlsx"`);
+        res.send(buffer);
+        
+    } catch (error) {
+        console.error('Timetable export error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to export timetable.'
+        });
+    }
+});
+
+// GET route for quality metrics of a stored timetable: workloads, gaps, room use and day balance
+app.get('/api/timetables/:id/metrics', async (req, res) => {
+    try {
+        const { record, metrics } = await readTimetableMetrics(req.params.id);
+        res.json({
+            success: true,
+            data: {
+                id: timetableId(record.filename),
+                branch: record.branch,
+                division: record.division,
+                generatedAt: record.generatedAt,
+                ...metrics
+            }
+        });
+    } catch (error) {
+        console.error('Timetable metrics error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to measure timetable.'
+        });
+    }
+});
+
+// GET route to download the metrics of a stored timetable as an Excel workload report
+app.get('/api/timetables/:id/metrics.xlsx', async (req, res) => {
+    try {
+        const { record, metrics } = await readTimetableMetrics(req.params.id);
+        const workbook = buildWorkloadWorkbook(record, metrics);
+        const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        console.log(`Exported workload report of ${record.filename} with sheets:`, workbook.SheetNames);
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${timetableId(record.filename)}_workload.xlsx"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Workload report error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to build workload report.'
+        });
+    }
+});
+
+// Who a calendar feed can be built for
+const CALENDAR_TYPES = ['batch', 'division', 'faculty'];
+
+// GET route for an iCalendar feed of a batch (DS1-B1), division (DS1) or faculty member
+app.get('/api/calendar/:type/:name.ics', async (req, res) => {
+    try {
+        const { type, name } = req.params;
+        if (!CALENDAR_TYPES.includes(type)) {
+            throw createHttpError(400, `Calendar type must be one of: ${CALENDAR_TYPES.join(', ')}.`);
+        }
+        
+        // Semester dates come from the query or the SEMESTER_START / SEMESTER_END settings
+        const semester = {
+            start: parseCalendarDate(req.query.start || process.env.SEMESTER_START),
+            end: parseCalendarDate(req.query.end || process.env.SEMESTER_END)
+        };
+        if (!semester.start || !semester.end) {
+            throw createHttpError(400, 'Semester "start" and "end" dates (YYYY-MM-DD) are required.');
+        }
+        if (semester.end < semester.start) {
+            throw createHttpError(400, 'Semester end must not be before its start.');
+        }
+        
+        const records = req.query.timetable
+            ? [await readTimetableRecord(req.query.timetable)]
+            : await readCurrentTimetables();
+        
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        const sessions = [];
+        records.forEach(record => {
+            const divisionName = `${record.branch}${record.division}`;
+            const batchNames = (record.batches || []).map(batch => batch.name);
+            const entries = timetableEntries(record);
+            
+            entries.filter(entry => {
+                if (type === 'faculty') return same(entry.faculty, name);
+                if (type === 'division') return same(divisionName, name);
+                return same(entry.batch, name) ||
+                    (/^all\b/i.test(entry.batch) && batchNames.some(batch => same(batch, name)));
+            }).forEach(entry => {
+                const forBatch = /^all\b/i.test(entry.batch) ? '' : ` (${entry.batch})`;
+                sessions.push({
+                    uid: `${record.filename.replace(/\.json$/, '')}-${entry.id}@sutra-timetable`,
+                    day: entry.day,
+                    start: entry.start,
+                    end: entry.end,
+                    summary: `${entry.subject}${type === 'batch' ? '' : forBatch}`,
+                    location: entry.venue,
+                    description: `Faculty: ${entry.faculty}\nBatch: ${entry.batch}\nDivision: ${record.branch} ${record.division}`
+                });
+            });
+        });
+        
+        if (sessions.length === 0) {
+            throw createHttpError(404, `No sessions found for ${type} "${name}" in the stored timetables.`);
+        }
+        console.log(`Calendar feed for ${type} ${name}: ${sessions.length} weekly events`);
+        
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="${name.replace(/[^A-Za-z0-9_-]+/g, '_')}.ics"`);
+        res.send(buildIcsCalendar(`Timetable - ${name}`, sessions, semester));
+        
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to build calendar feed.'
+        });
+    }
+});
+
+// Shared handler for the faculty and venue schedule views
+function scheduleRoute(field, param, label) {
+    return async (req, res) => {
+        try {
+            const name = req.params[param].trim();
+            const day = req.query.day ? parseDayName(req.query.day) : null;
+            if (req.query.day && !day) {
+                throw createHttpError(400, `Unknown day "${req.query.day}".`);
+            }
+            
+            // Only the active timetable of each division is current
+            const records = await readCurrentTimetables();
+            const schedule = buildResourceSchedule(records, field, name);
+            if (schedule.sessions === 0) {
+                throw createHttpError(404, `No sessions found for ${label} "${name}" in the stored timetables.`);
+            }
+            const view = day ? buildResourceSchedule(records, field, name, day) : schedule;
+            console.log(`Schedule for ${label} ${name}: ${view.sessions} sessions across ${view.timetables.length} timetables`);
+            
+            // Report the name as the timetables spell it
+            const storedName = Object.values(schedule.week).flat()[0][field];
+            
+            res.json({
+                success: true,
+                data: {
+                    [field]: storedName,
+                    ...(day && { day }),
+                    ...view
                 }
-                
-                // For DS*_Dataset.xlsx files, check required sheets
-                if (fileName.match(/^DS\d+_Dataset\.xlsx$/)) {
-                    const requiredSheets = ['Theory Courses', 'Lab Courses', 'Faculty', 'Load Dist', 'Batch Details', 'Venue'];
-                    const missingSheets = requiredSheets.filter(sheet => !sheetNames.includes(sheet));
-                    
-                    if (missingSheets.length > 0) {
-                        await fs.unlink(filePath);
-                        return res.status(400).json({
-                            success: false,
-                            error: `Missing required sheets: ${missingSheets.join(', ')}`
-                        });
-                    }
+            });
+        } catch (error) {
+            console.error(`Error building ${label} schedule:`, error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || `Failed to build ${label} schedule.`
+            });
+        }
+    };
+}
+
+// GET route for one faculty member's weekly schedule across all divisions
+app.get('/api/faculty/:name/schedule', scheduleRoute('faculty', 'name', 'faculty member'));
+
+// GET route for one room's weekly occupancy across all divisions
+app.get('/api/venues/:room/schedule', scheduleRoute('venue', 'room', 'venue'));
+
+// POST route to generate a division's timetable and return it in the structured (v2) format
+app.post('/api/v2/generate', async (req, res) => {
+    try {
+        const { record, filename, changes, candidates } = await generateDivisionRecord(req.body);
+        res.json({
+            success: true,
+            data: {
+                ...toV2Timetable({ filename, ...record }, await readActiveTimetables()),
+                ...(candidates && { candidates }),
+                ...(changes && { changes })
+            }
+        });
+    } catch (error) {
+        console.error('Timetable generation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'An unknown error occurred during timetable generation.',
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// GET route to list stored timetables in the structured (v2) format, newest first
+app.get('/api/v2/timetables', async (req, res) => {
+    try {
+        const { branch, division } = req.query;
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        
+        const records = (await readStoredTimetables())
+            .filter(record => (!branch || same(record.branch, branch)) && (!division || same(record.division, division)))
+            .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+        const active = await readActiveTimetables();
+        
+        res.json({
+            success: true,
+            data: records.map(record => toV2Timetable(record, active))
+        });
+    } catch (error) {
+        console.error('Error fetching timetables:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch timetables: ' + error.message
+        });
+    }
+});
+
+// GET route to read one stored timetable in the structured (v2) format
+app.get('/api/v2/timetables/:id', async (req, res) => {
+    try {
+        const record = await readTimetableRecord(timetableFileName(req.params.id));
+        res.json({
+            success: true,
+            data: toV2Timetable(record, await readActiveTimetables())
+        });
+    } catch (error) {
+        console.error('Error fetching timetable:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to fetch timetable.'
+        });
+    }
+});
+
+// Finds a session of an editable timetable by id
+function findTimetableSession(record, sessionId) {
+    const session = record.sessions.find(candidate => candidate.id === sessionId);
+    if (!session) {
+        throw createHttpError(404, `Session ${sessionId} not found in ${record.filename}.`);
+    }
+    if (session.type === 'holiday') {
+        throw createHttpError(422, 'The weekly holiday cannot be edited.');
+    }
+    return session;
+}
+
+// PATCH route to move a session to another slot and/or reassign its faculty or venue
+app.patch('/api/v2/timetables/:id/sessions/:sessionId', async (req, res) => {
+    try {
+        const { day, startPeriod, faculty, venue } = req.body;
+        const isMove = day !== undefined || startPeriod !== undefined;
+        const isReassign = faculty !== undefined || venue !== undefined;
+        if (!isMove && !isReassign) {
+            throw createHttpError(400, 'Send a new "day" and/or "startPeriod" to move the session, or "faculty"/"venue" to reassign it.');
+        }
+        
+        const record = await readEditableTimetable(req.params.id);
+        const session = findTimetableSession(record, req.params.sessionId);
+        
+        let edited = session;
+        if (isMove) {
+            const targetDay = day !== undefined ? parseDayName(day) : session.day;
+            if (!targetDay) {
+                throw createHttpError(400, `Unknown day "${day}".`);
+            }
+            edited = moveSession(edited, record.dayGrid, targetDay, startPeriod ?? session.startPeriod);
+        }
+        if (isReassign) {
+            assertReassignable(session);
+            for (const [field, value] of [['faculty', faculty], ['venue', venue]]) {
+                if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+                    throw createHttpError(400, `"${field}" must be a non-empty name.`);
                 }
-                
-            } catch (excelError) {
-                await fs.unlink(filePath);
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid Excel file format or corrupted file.'
-                });
+            }
+            const resolved = await resolveDatasetNames(record, { faculty: faculty?.trim(), venue: venue?.trim() });
+            for (const [field, value] of Object.entries(resolved)) {
+                edited = { ...edited, [field]: value, [`${field}Id`]: toResourceId(value) };
             }
         }
+        
+        const pick = s => ({ day: s.day, startPeriod: s.startPeriod, faculty: s.faculty, venue: s.venue });
+        const updated = await applyTimetableEdit(
+            record,
+            record.sessions.map(candidate => candidate.id === session.id ? edited : candidate),
+            {
+                action: [isMove && 'move', isReassign && 'reassign'].filter(Boolean).join('+'),
+                sessionIds: [session.id],
+                from: pick(session),
+                to: pick(edited)
+            }
+        );
+        console.log(`Edited session ${session.id} in ${record.filename}`);
+        
+        res.json({
+            success: true,
+            data: toV2Timetable(updated, await readActiveTimetables())
+        });
+    } catch (error) {
+        console.error('Timetable edit error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to edit timetable.',
+            ...(error.details && { details: error.details })
+        });
+    }
+});
 
+// PATCH route to swap the slots of two sessions of a timetable
+app.patch('/api/v2/timetables/:id/sessions/:sessionId/swap', async (req, res) => {
+    try {
+        const { withSessionId } = req.body;
+        if (!withSessionId || withSessionId === req.params.sessionId) {
+            throw createHttpError(400, 'Send "withSessionId", the id of another session to swap slots with.');
+        }
+        
+        const record = await readEditableTimetable(req.params.id);
+        const first = findTimetableSession(record, req.params.sessionId);
+        const second = findTimetableSession(record, withSessionId);
+        
+        const movedFirst = moveSession(first, record.dayGrid, second.day, second.startPeriod);
+        const movedSecond = moveSession(second, record.dayGrid, first.day, first.startPeriod);
+        const updated = await applyTimetableEdit(
+            record,
+            record.sessions.map(candidate =>
+                candidate.id === first.id ? movedFirst : candidate.id === second.id ? movedSecond : candidate
+            ),
+            {
+                action: 'swap',
+                sessionIds: [first.id, second.id],
+                from: [first, second].map(s => ({ day: s.day, startPeriod: s.startPeriod })),
+                to: [movedFirst, movedSecond].map(s => ({ day: s.day, startPeriod: s.startPeriod }))
+            }
+        );
+        console.log(`Swapped sessions ${first.id} and ${second.id} in ${record.filename}`);
+        
         res.json({
             success: true,
-            message: `File '${fileName}' uploaded successfully to backend!`,
-            fileName: fileName,
-            filePath: filePath,
-            fileType: fileExtension.substring(1).toUpperCase()
+            data: toV2Timetable(updated, await readActiveTimetables())
+        });
+    } catch (error) {
+        console.error('Timetable swap error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to swap sessions.',
+            ...(error.details && { details: error.details })
         });
+    }
+});
 
+// POST route to turn a coordinator's instruction into a proposed change of a timetable; nothing is stored.
+// Uses the Gemini provider unless "provider" names another one (e.g. 'mock' offline).
+app.post('/api/v2/timetables/:id/change-requests', async (req, res) => {
+    try {
+        const { instruction } = req.body;
+        if (typeof instruction !== 'string' || !instruction.trim()) {
+            throw createHttpError(400, 'Send the requested change as "instruction", e.g. "Move the DBMS lab for batch 2 off Friday afternoon".');
+        }
+        const provider = readAiProvider({ ...req.body, provider: req.body.provider || 'gemini' });
+        const record = await readEditableTimetable(req.params.id);
+        
+        let change = await interpretChangeRequest(record, instruction.trim(), provider);
+        if (change.action === 'reassign') {
+            change = { ...change, ...await resolveDatasetNames(record, change) };
+        }
+        const otherRecords = (await readCurrentTimetables())
+            .filter(other => divisionVersionKey(other) !== divisionVersionKey(record));
+        const plan = planTimetableChange(record, change, otherRecords);
+        console.log(`Interpreted change request for ${record.filename} as ${change.action}: ${plan.changedIds.length} session(s) change`);
+        
+        res.json({
+            success: true,
+            data: {
+                timetableId: timetableId(record.filename),
+                instruction: instruction.trim(),
+                provider: provider.name,
+                change,
+                matched: plan.matched,
+                changes: diffTimetables(record, { ...record, sessions: plan.sessions }),
+                conflicts: plan.conflicts,
+                unresolved: plan.unresolved,
+                constraint: plan.constraint,
+                canApply: plan.conflicts.length === 0 && plan.unresolved.length === 0 &&
+                    (plan.changedIds.length > 0 || plan.constraint !== null)
+            }
+        });
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({
+        console.error('Change request error:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: error.message || 'An error occurred during file upload.'
+            error: error.message || 'Failed to interpret the change request.',
+            ...(error.details && { details: error.details })
         });
     }
 });
 
-// GET route to list uploaded files
-app.get('/files', async (req, res) => {
+// POST route to apply an approved change (the "change" of a change request) as a new version of the timetable
+app.post('/api/v2/timetables/:id/change-requests/apply', async (req, res) => {
     try {
-        const files = await fs.readdir(uploadsDir);
-        const dataFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.xlsx', '.xls', '.csv'].includes(ext);
-        });
+        let change = normalizeChange(req.body.change);
+        const record = await readEditableTimetable(req.params.id);
+        if (change.action === 'reassign') {
+            change = { ...change, ...await resolveDatasetNames(record, change) };
+        }
+        const otherRecords = (await readCurrentTimetables())
+            .filter(other => divisionVersionKey(other) !== divisionVersionKey(record));
+        const plan = planTimetableChange(record, change, otherRecords);
         
-        // Get file stats for additional info
-        const fileDetails = await Promise.all(
-            dataFiles.map(async (file) => {
-                const filePath = path.join(uploadsDir, file);
-                const stats = await fs.stat(filePath);
-                return {
-                    name: file,
-                    size: stats.size,
-                    uploadDate: stats.mtime,
-                    type: path.extname(file).substring(1).toUpperCase()
-                };
+        if (plan.unresolved.length > 0) {
+            throw createHttpError(409, `${plan.unresolved.length} session(s) have no conflict-free slot to move to.`, { unresolved: plan.unresolved });
+        }
+        if (plan.changedIds.length === 0 && !plan.constraint) {
+            throw createHttpError(422, 'The change leaves the timetable as it is.');
+        }
+        
+        // A new unavailability is saved even when none of the faculty member's sessions had to move
+        if (plan.constraint) {
+            await addFacultyUnavailability(plan.constraint.faculty, plan.constraint.unavailable);
+        }
+        const updated = plan.changedIds.length > 0
+            ? await applyTimetableEdit(record, plan.sessions, {
+                action: 'change-request',
+                sessionIds: plan.changedIds,
+                ...(typeof req.body.instruction === 'string' && { instruction: req.body.instruction.trim() }),
+                change
             })
-        );
+            : record;
+        console.log(`Applied ${change.action} change to ${record.filename}: ${plan.changedIds.length} session(s) changed`);
         
         res.json({
             success: true,
-            files: dataFiles,
-            fileDetails: fileDetails
+            data: {
+                ...toV2Timetable(updated, await readActiveTimetables()),
+                changes: diffTimetables(record, updated),
+                constraint: plan.constraint
+            }
         });
     } catch (error) {
-        res.status(500).json({
+        console.error('Change request apply error:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to retrieve file list.'
+            error: error.message || 'Failed to apply the change.',
+            ...(error.details && { details: error.details })
         });
     }
 });
 
-// GET route to get available branches and divisions from uploaded data
-app.get('/api/branches-divisions', async (req, res) => {
+// GET route to list the versions of a branch/division's timetable
+app.get('/api/timetables/history', async (req, res) => {
     try {
-        const uploadsPath = path.join(__dirname, 'uploads');
-        const allFiles = await fs.readdir(uploadsPath);
-        
-        const excelFiles = allFiles.filter(file => 
-            (file.endsWith('.xlsx') || file.endsWith('.xls')) && 
-            !file.startsWith('timetable_') // Exclude generated timetable files
-        );
-        
-        console.log('Found Excel files:', excelFiles);
-        
-        if (excelFiles.length === 0) {
-            return res.json({
-                success: true,
-                data: { branches: [], divisions: [], message: 'No Excel files uploaded yet' }
-            });
+        const { branch, division } = req.query;
+        if (!branch || !division) {
+            throw createHttpError(400, 'Query parameters "branch" and "division" are required.');
+        }
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        const records = (await readStoredTimetables())
+            .filter(record => same(record.branch, branch) && same(record.division, division));
+        if (records.length === 0) {
+            throw createHttpError(404, `No timetables stored for ${branch} Division ${division}.`);
         }
         
-        const branchesSet = new Set();
-        const divisionsSet = new Set();
-        
-        // Try to extract from filename first (DS1_Dataset.xlsx pattern)
-        excelFiles.forEach(file => {
-            const match = file.match(/^([A-Za-z]+)(\d+)_Dataset\.(xlsx|xls)$/);
-            if (match) {
-                const branch = match[1]; // e.g., "DS"
-                const division = match[2]; // e.g., "1"
-                branchesSet.add(branch);
-                divisionsSet.add(division);
-                console.log(`Extracted from filename ${file}: Branch=${branch}, Division=${division}`);
+        const versions = buildTimetableLineage(records, await readActiveTimetables());
+        res.json({
+            success: true,
+            data: {
+                branch: records[0].branch,
+                division: records[0].division,
+                activeId: versions.find(version => version.active).id,
+                versions
             }
         });
-        
-        // If no data from filenames, try reading Excel content
-        if (branchesSet.size === 0 || divisionsSet.size === 0) {
-            const filePath = path.join(uploadsPath, excelFiles[0]);
-            const workbook = xlsx.readFile(filePath);
-            
-            // Check multiple sheets for branch/division data
-            const sheetsToCheck = ['Theory Courses', 'Lab Courses', 'Faculty', 'Batch Details'];
-            
-            for (const sheetName of sheetsToCheck) {
-                if (workbook.Sheets[sheetName]) {
-                    const data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
-                    console.log(`Checking sheet ${sheetName}, found ${data.length} rows`);
-                    
-                    data.forEach(row => {
-                        const branch = row.Branch || row.branch || row.BRANCH;
-                        const division = row.Division || row.division || row.DIVISION || row.Div;
-                        
-                        if (branch) {
-                            branchesSet.add(branch.toString());
-                            console.log(`Found branch in data: ${branch}`);
-                        }
-                        if (division) {
-                            divisionsSet.add(division.toString());
-                            console.log(`Found division in data: ${division}`);
-                        }
-                    });
-                }
-            }
+    } catch (error) {
+        console.error('Error fetching timetable history:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to fetch timetable history.'
+        });
+    }
+});
+
+// Marks a stored timetable as active and returns the response body for it
+async function activateStoredTimetable(id) {
+    const record = await readTimetableRecord(timetableFileName(id));
+    await activateTimetable(record);
+    return {
+        branch: record.branch,
+        division: record.division,
+        activeId: timetableId(record.filename),
+        version: record.version || null
+    };
+}
+
+// POST route to make any stored version the active timetable of its branch/division
+app.post('/api/timetables/:id/activate', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await activateStoredTimetable(req.params.id)
+        });
+    } catch (error) {
+        console.error('Timetable activation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to activate timetable.'
+        });
+    }
+});
+
+// POST route to roll a branch/division back to the parent of its active version
+app.post('/api/timetables/rollback', async (req, res) => {
+    try {
+        const { branch, division } = req.body;
+        if (!branch || !division) {
+            throw createHttpError(400, '"branch" and "division" are required.');
+        }
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        const records = (await readStoredTimetables())
+            .filter(record => same(record.branch, branch) && same(record.division, division));
+        const [current] = currentTimetablePerDivision(records, await readActiveTimetables());
+        if (!current) {
+            throw createHttpError(404, `No timetables stored for ${branch} Division ${division}.`);
+        }
+        if (!current.parentId) {
+            throw createHttpError(409, `${current.filename} has no earlier version to roll back to.`);
         }
         
-        const branches = Array.from(branchesSet).sort();
-        const divisions = Array.from(divisionsSet).sort();
-        
-        console.log('Final branches:', branches);
-        console.log('Final divisions:', divisions);
+        const data = await activateStoredTimetable(current.parentId);
+        res.json({
+            success: true,
+            data: { ...data, rolledBackFrom: timetableId(current.filename) }
+        });
+    } catch (error) {
+        console.error('Timetable rollback error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to roll back timetable.'
+        });
+    }
+});
+
+// GET route to compare two timetables of the same branch/division
+app.get('/api/timetables/:id/diff/:otherId', async (req, res) => {
+    try {
+        const fromRecord = await readTimetableRecord(timetableFileName(req.params.id));
+        const toRecord = await readTimetableRecord(timetableFileName(req.params.otherId));
+        if (divisionVersionKey(fromRecord) !== divisionVersionKey(toRecord)) {
+            throw createHttpError(400, 'Both timetables must belong to the same branch and division.');
+        }
         
         res.json({
             success: true,
             data: {
-                branches,
-                divisions,
-                availableFiles: excelFiles,
-                debug: {
-                    totalFiles: excelFiles.length,
-                    branchesFound: branches.length,
-                    divisionsFound: divisions.length
-                }
+                from: timetableId(fromRecord.filename),
+                to: timetableId(toRecord.filename),
+                branch: fromRecord.branch,
+                division: fromRecord.division,
+                ...diffTimetables(fromRecord, toRecord)
             }
         });
-        
     } catch (error) {
-        console.error('Error fetching branches/divisions:', error);
-        res.status(500).json({
+        console.error('Timetable diff error:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to fetch available branches and divisions: ' + error.message
+            error: error.message || 'Failed to compare timetables.'
         });
     }
 });
 
-// GET route to retrieve stored timetables
-app.get('/api/timetables', async (req, res) => {
+// Checks that need the division's dataset (course loads, Venue sheet, reserved slots)
+const DATASET_CHECKS = ['load-shortfall', 'unknown-venue', 'reserved-slot'];
+
+// POST route to check a stored, uploaded or posted timetable for clashes and other violations
+app.post('/api/timetables/validate', timetableUpload.single('timetableFile'), async (req, res) => {
     try {
-        const { branch, division } = req.query;
-        const uploadsPath = path.join(__dirname, 'uploads');
-        
-        console.log('=== TIMETABLES API DEBUG ===');
-        console.log('Query params:', { branch, division });
-        console.log('Uploads path:', uploadsPath);
-        
-        const allFiles = await fs.readdir(uploadsPath);
-        console.log('All files in uploads:', allFiles);
-        
-        // Find timetable files
-        let timetableFiles = allFiles.filter(file => 
-            file.startsWith('timetable_') && file.endsWith('.json')
-        );
-        console.log('Timetable files found:', timetableFiles);
+        const body = req.body || {};
+        let entries;
+        let invalid = [];
+        let source;
+        let record = null;
         
-        // Filter by branch/division if specified
-        if (branch || division) {
-            const originalCount = timetableFiles.length;
-            timetableFiles = timetableFiles.filter(file => {
-                const matchesBranch = !branch || file.toLowerCase().includes(branch.toLowerCase());
-                const matchesDivision = !division || file.includes(division.toString());
-                console.log(`File ${file}: branch match=${matchesBranch}, division match=${matchesDivision}`);
-                return matchesBranch && matchesDivision;
+        if (req.file) {
+            const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
+            ({ entries, invalid } = parseTimetableEntries(readTimetableSheet(workbook)));
+            source = { type: 'upload', name: req.file.originalname };
+        } else if (body.filename) {
+            record = await readTimetableRecord(body.filename);
+            entries = timetableEntries(record);
+            source = { type: 'stored', name: record.filename };
+        } else if (body.sessions) {
+            // Structured (v2) sessions
+            if (!Array.isArray(body.sessions)) {
+                throw createHttpError(400, 'Timetable sessions must be an array.');
+            }
+            const timed = body.sessions.filter(session => session?.type !== 'holiday');
+            entries = timetableEntries({ sessions: timed }).filter((entry, index) => {
+                if (SESSION_DAYS.includes(entry.day) && entry.start !== null && entry.end !== null) return true;
+                invalid.push({
+                    type: 'invalid-row',
+                    row: index,
+                    message: `Session ${timed[index].id || index + 1} has an unknown day "${entry.day}" or unreadable start/end time.`
+                });
+                return false;
             });
-            console.log(`Filtered from ${originalCount} to ${timetableFiles.length} files`);
+            source = { type: 'body' };
+        } else if (body.timetable || body.rows) {
+            const rows = body.timetable?.rows || body.rows;
+            if (!Array.isArray(rows)) {
+                throw createHttpError(400, 'Timetable rows must be an array of [Day, Time, Class/Batch, Course Name, Faculty, Venue].');
+            }
+            ({ entries, invalid } = parseTimetableEntries(rows));
+            source = { type: 'body' };
+        } else {
+            throw createHttpError(400, 'Send a stored timetable "filename", an uploaded "timetableFile", "sessions" or a "timetable" with rows.');
         }
         
-        const timetables = [];
+        const branch = body.branch || record?.branch;
+        const division = body.division || record?.division;
+        console.log(`Validating ${entries.length} timetable entries from ${source.type}${branch ? ` for ${branch} Division ${division}` : ''}`);
         
-        for (const file of timetableFiles) {
+        // Load, venue and reserved-slot checks need the division's dataset
+        let context = {};
+        const skippedChecks = [];
+        if (branch && division) {
             try {
-                const filePath = path.join(uploadsPath, file);
-                console.log(`Reading file: ${filePath}`);
-                const content = await fs.readFile(filePath, 'utf-8');
-                const timetableData = JSON.parse(content);
-                
-                console.log(`File ${file} contains:`, {
-                    branch: timetableData.branch,
-                    division: timetableData.division,
-                    hasRows: !!timetableData.timetable?.rows?.length
-                });
-                
-                timetables.push({
-                    filename: file,
-                    ...timetableData
+                const constraints = record?.constraints || readGenerationConstraints(body);
+                const timetableData = await loadDivisionData(branch, division, constraints);
+                timetableData.dayGrid = record?.dayGrid || buildDayGrid({
+                    ...constraints,
+                    periodLength: constraints.theoryDuration,
+                    workingDays: timetableData.policy.workingDays,
+                    halfDays: timetableData.policy.halfDays
                 });
-            } catch (readError) {
-                console.error(`Could not read timetable file ${file}:`, readError.message);
+                context = buildValidationContext(timetableData);
+            } catch (contextError) {
+                console.log('Skipping dataset checks:', contextError.message);
+                DATASET_CHECKS.forEach(check => skippedChecks.push({ check, reason: contextError.message }));
             }
+        } else {
+            DATASET_CHECKS.forEach(check => skippedChecks.push({ check, reason: 'No branch and division given.' }));
+        }
+        if (!context.batches && record?.batches) {
+            context.batches = record.batches.map(batch => batch.name);
         }
         
-        // Sort by generation date (newest first)
-        timetables.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
-        
-        console.log(`Returning ${timetables.length} timetables`);
-        console.log('===========================');
+        const violations = [...invalid, ...findTimetableViolations(entries, context)];
+        const summary = {};
+        violations.forEach(violation => {
+            summary[violation.type] = (summary[violation.type] || 0) + 1;
+        });
+        console.log(`Validation found ${violations.length} violations`, summary);
         
         res.json({
             success: true,
-            data: timetables
+            data: {
+                valid: violations.length === 0,
+                source,
+                branch: branch || null,
+                division: division || null,
+                checkedRows: entries.length,
+                summary,
+                violations,
+                skippedChecks
+            }
         });
         
     } catch (error) {
-        console.error('Error fetching timetables:', error);
-        res.status(500).json({
+        console.error('Timetable validation error:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to fetch timetables: ' + error.message
+            error: error.message || 'Failed to validate timetable.'
         });
     }
 });
 
+// GET route to read the faculty availability saved through the API
+app.get('/api/faculty-availability', async (req, res) => {
+    try {
+        const faculty = await readStoredFacultyAvailability();
+        res.json({
+            success: true,
+            data: { faculty }
+        });
+    } catch (error) {
+        console.error('Error reading faculty availability:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read faculty availability: ' + error.message
+        });
+    }
+});
 
-// GET route to parse and return data from a specific file
-app.get('/parse/:filename', async (req, res) => {
+// PUT route to replace the saved faculty availability; it is combined with any 'Faculty Availability' sheet
+app.put('/api/faculty-availability', async (req, res) => {
     try {
-        const filename = req.params.filename;
-        const filePath = path.join(uploadsDir, filename);
-        
-        // Check if file exists
-        try {
-            await fs.access(filePath);
-        } catch {
-            return res.status(404).json({
-                success: false,
-                error: 'File not found.'
-            });
+        const { faculty } = req.body;
+        if (!Array.isArray(faculty)) {
+            throw createHttpError(400, 'Request body must be { faculty: [...] } with one entry per faculty member.');
+        }
+        const unnamed = faculty.filter(entry => !readField(entry, FIELD_NAMES.facultyName));
+        if (unnamed.length > 0) {
+            throw createHttpError(400, `${unnamed.length} availability entr${unnamed.length === 1 ? 'y has' : 'ies have'} no faculty name.`);
         }
         
-        const fileExtension = path.extname(filename).toLowerCase();
-        let parsedData = {};
+        // Reject unreadable slots now rather than at generation time
+        const rules = buildFacultyAvailability(faculty);
         
-        if (fileExtension === '.csv') {
-            // Parse CSV file
-            const csvData = await parseCSVFile(filePath);
-            if (csvData.length > 0) {
-                const dataType = detectDataType(csvData[0]);
-                parsedData[dataType] = csvData;
-            }
-        } else {
-            // Parse Excel file
-            const workbook = xlsx.readFile(filePath);
-            const sheetNames = workbook.SheetNames;
-            
-            // Helper function to safely read a sheet
-            const getSheetData = (sheetName) => {
-                const sheet = workbook.Sheets[sheetName];
-                if (!sheet) return [];
-                return xlsx.utils.sheet_to_json(sheet);
-            };
-            
-            // Parse common sheet names and map to standard format
-            if (sheetNames.includes('Theory Courses')) {
-                parsedData.subjects = getSheetData('Theory Courses');
-            }
-            if (sheetNames.includes('Lab Courses')) {
-                if (!parsedData.subjects) parsedData.subjects = [];
-                parsedData.subjects = [...parsedData.subjects, ...getSheetData('Lab Courses')];
-            }
-            if (sheetNames.includes('Faculty')) {
-                parsedData.faculty = getSheetData('Faculty');
-            }
-            if (sheetNames.includes('Venue')) {
-                parsedData.rooms = getSheetData('Venue');
-            }
-            if (sheetNames.includes('Batch Details')) {
-                parsedData.students = getSheetData('Batch Details');
-            }
-            
-            // If no standard sheets found, try to detect data type from first sheet
-            if (Object.keys(parsedData).length === 0 && sheetNames.length > 0) {
-                const firstSheetData = getSheetData(sheetNames[0]);
-                if (firstSheetData.length > 0) {
-                    const dataType = detectDataType(firstSheetData[0]);
-                    parsedData[dataType] = firstSheetData;
-                }
-            }
-        }
+        await fs.writeFile(FACULTY_AVAILABILITY_FILE, JSON.stringify({ faculty }, null, 2));
+        console.log(`Saved availability for ${rules.size} faculty members`);
         
         res.json({
             success: true,
-            data: parsedData,
-            filename: filename
+            data: { faculty }
+        });
+    } catch (error) {
+        console.error('Error saving faculty availability:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to save faculty availability.'
+        });
+    }
+});
+
+// GET route for the institution policy: working days, half days and recurring blocks
+app.get('/api/institution-policy', async (req, res) => {
+    try {
+        const policy = await readInstitutionPolicy();
+        res.json({
+            success: true,
+            data: policy
         });
-        
     } catch (error) {
-        console.error('Parse error:', error);
+        console.error('Error reading institution policy:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to parse file.'
+            error: 'Failed to read institution policy: ' + error.message
         });
     }
 });
 
-// DELETE route to remove uploaded files
-app.delete('/files/:filename', async (req, res) => {
+// PUT route to replace the institution policy; it applies to timetables generated from now on
+app.put('/api/institution-policy', async (req, res) => {
     try {
-        const filename = req.params.filename;
-        const filePath = path.join(uploadsDir, filename);
-        
-        // Check if file exists
-        try {
-            await fs.access(filePath);
-        } catch {
-            return res.status(404).json({
-                success: false,
-                error: 'File not found.'
-            });
-        }
+        const policy = normalizeInstitutionPolicy(req.body);
         
-        // Delete the file
-        await fs.unlink(filePath);
+        await fs.writeFile(INSTITUTION_POLICY_FILE, JSON.stringify(policy, null, 2));
+        console.log(`Saved institution policy: ${policy.workingDays.length} working days, ${policy.blocks.length} recurring blocks`);
         
         res.json({
             success: true,
-            message: `File '${filename}' deleted successfully.`
+            data: policy
         });
     } catch (error) {
-        res.status(500).json({
+        console.error('Error saving institution policy:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to delete file.'
+            error: error.message || 'Failed to save institution policy.'
         });
     }
 });
 
-// POST route to generate timetable for specific branch/division
-app.post('/generate', async (req, res) => {
+// DELETE route to go back to the default institution policy
+app.delete('/api/institution-policy', async (req, res) => {
     try {
-        const { branch, division, year, theoryDuration, labDuration, shortBreaks, longBreaks } = req.body;
+        await fs.rm(INSTITUTION_POLICY_FILE, { force: true });
+        console.log('Institution policy reset to the default');
         
-        console.log('Generate request received:', { branch, division, year });
-        
-        const uploadsPath = path.join(__dirname, 'uploads');
-        const allFiles = await fs.readdir(uploadsPath);
-
-        let filePath = null;
-
-        // Method 1: Look for specific branch-division file (like DS1_Dataset.xlsx)
-        const specificFile = allFiles.find(file => {
-            const fileName = file.toLowerCase();
-            return (
-                fileName.includes(branch?.toLowerCase() || '') && 
-                fileName.includes(division?.toLowerCase() || '') &&
-                (fileName.endsWith('.xlsx') || fileName.endsWith('.xls'))
-            );
+        res.json({
+            success: true,
+            data: DEFAULT_INSTITUTION_POLICY
         });
+    } catch (error) {
+        console.error('Error resetting institution policy:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset institution policy: ' + error.message
+        });
+    }
+});
 
-        if (specificFile) {
-            filePath = path.join(uploadsPath, specificFile);
-            console.log(`Found specific file: ${specificFile}`);
-        } else {
-            // Method 2: Look for any Excel file and filter data from it
-            const excelFiles = allFiles.filter(file => 
-                (file.endsWith('.xlsx') || file.endsWith('.xls')) && 
-                !file.startsWith('timetable_')
-            );
-            
-            if (excelFiles.length === 0) {
-                throw new Error("No Excel files found in uploads folder. Please upload data first.");
-            }
-            
-            // Use the first Excel file and filter data from it
-            filePath = path.join(uploadsPath, excelFiles[0]);
-            console.log(`Using file: ${excelFiles[0]} and will filter data`);
-        }
-
-        // Read and parse the Excel file
-        const workbook = xlsx.readFile(filePath);
-        console.log('Available sheets:', workbook.SheetNames);
+// POST route to generate an exam timetable for one division, or for every division when none is named
+app.post('/api/exams/generate', async (req, res) => {
+    try {
+        const { filename, ...record } = await generateExamRecord(req.body);
+        res.json({
+            success: true,
+            data: { id: timetableId(filename), ...record }
+        });
+    } catch (error) {
+        console.error('Exam timetable generation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'An unknown error occurred during exam timetable generation.',
+            ...(error.details && { details: error.details })
+        });
+    }
+});
 
-        // Helper function to safely read a sheet
-        const getSheetData = (sheetName) => {
-            const sheet = workbook.Sheets[sheetName];
-            if (!sheet) {
-                console.log(`Sheet ${sheetName} not found`);
-                return [];
-            }
-            return xlsx.utils.sheet_to_json(sheet);
-        };
+// GET route to list stored exam timetables, newest first, without their exams
+app.get('/api/exams', async (req, res) => {
+    try {
+        const records = (await readStoredExamTimetables())
+            .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+        res.json({
+            success: true,
+            data: records.map(({ filename, exams, invigilation, ...record }) => ({
+                id: timetableId(filename),
+                ...record,
+                examCount: exams.length
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching exam timetables:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exam timetables: ' + error.message
+        });
+    }
+});
 
-        // Extract data from sheets
-        let theoryCourses = getSheetData('Theory Courses');
-        let labCourses = getSheetData('Lab Courses');
-        let faculty = getSheetData('Faculty');
-        let loadDist = getSheetData('Load Dist');
-        let batches = getSheetData('Batch Details');
-        let venues = getSheetData('Venue');
+// GET route to read one stored exam timetable
+app.get('/api/exams/:id', async (req, res) => {
+    try {
+        const { filename, ...record } = await readExamRecord(req.params.id);
+        res.json({
+            success: true,
+            data: { id: timetableId(filename), ...record }
+        });
+    } catch (error) {
+        console.error('Error reading exam timetable:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to read exam timetable.'
+        });
+    }
+});
 
-        // Filter data by branch and division if they exist in the data
-        if (branch && division) {
-            const filterByBranchDiv = (data) => {
-                return data.filter(item => {
-                    const itemBranch = item.Branch || item.branch || '';
-                    const itemDivision = item.Division || item.division || '';
-                    
-                    return (
-                        itemBranch.toString().toLowerCase().includes(branch.toLowerCase()) &&
-                        itemDivision.toString().toLowerCase().includes(division.toLowerCase())
-                    );
-                });
-            };
+// GET route to download a stored exam timetable as an Excel workbook
+app.get('/api/exams/:id/export.xlsx', async (req, res) => {
+    try {
+        const record = await readExamRecord(req.params.id);
+        
+        const workbook = buildExamWorkbook(record);
+        const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        console.log(`Exported ${record.filename} with sheets:`, workbook.SheetNames);
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${timetableId(record.filename)}.xlsx"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Exam timetable export error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to export exam timetable.'
+        });
+    }
+});
 
-            theoryCourses = filterByBranchDiv(theoryCourses);
-            labCourses = filterByBranchDiv(labCourses);
-            faculty = filterByBranchDiv(faculty);
-            loadDist = filterByBranchDiv(loadDist);
-            batches = filterByBranchDiv(batches);
-            // Venues are usually shared, so don't filter them
+// GET route for the faculty allocation report of a division: who teaches each course and batch,
+// why, each faculty member's load, and the teaching nobody could be allocated to
+app.get('/api/faculty-allocation', async (req, res) => {
+    try {
+        const { branch, division } = req.query;
+        if (!branch || !division) {
+            throw createHttpError(400, 'Send "branch" and "division" as query parameters.');
         }
-
-        console.log(`Filtered data counts:`, {
-            theoryCourses: theoryCourses.length,
-            labCourses: labCourses.length,
-            faculty: faculty.length,
-            batches: batches.length
-        });
-
-        if (theoryCourses.length === 0 && labCourses.length === 0) {
-            throw new Error(`No data found for branch: ${branch}, division: ${division}. Please check your data.`);
-        }
-
-        // Prepare data for timetable generation
-        const timetableData = {
-            theoryCourses: theoryCourses.map(course => ({ ...course, division: division })),
-            labCourses: labCourses.map(course => ({ ...course, division: division })),
-            faculty: faculty.map(f => ({ ...f, division: division })),
-            loadDist: loadDist.map(load => ({ ...load, division: division })),
-            venues: venues,
-            batches: batches.map(batch => ({ ...batch, division: division })),
-            divisionCount: 1,
-            branch: branch,
-            division: division,
-            constraints: {
-                theoryDuration: theoryDuration || 60,
-                labDuration: labDuration || 120,
-                shortBreaks: shortBreaks || 2,
-                longBreaks: longBreaks || 1
-            }
-        };
-
-        // Generate the timetable using Gemini AI
-        // Generate the timetable using Gemini AI
-        // Generate timetable using reliable algorithm (bypass Gemini)
-console.log('=== RELIABLE TIMETABLE GENERATION ===');
-console.log(`Generating for ${branch} Division ${division}`);
-
-const parsedTable = generateReliableTimetable(timetableData);
-
-console.log(`Generated ${parsedTable.rows.length} timetable entries`);
-console.log('=====================================');
-
-
-
-        // Store the generated timetable (optional - for future retrieval)
-        const timetableFile = `timetable_${branch}_${division}_${Date.now()}.json`;
-        const timetableData_store = {
-            branch,
-            division,
-            year,
-            generatedAt: new Date().toISOString(),
-            timetable: parsedTable
-        };
+        const timetableData = await loadDivisionData(branch, division, readGenerationConstraints(req.query));
+        timetableData.dayGrid = buildDayGrid({
+            ...timetableData.constraints,
+            periodLength: timetableData.constraints.theoryDuration,
+            workingDays: timetableData.policy.workingDays,
+            halfDays: timetableData.policy.halfDays
+        });
+        const { allocation } = buildDivisionSessions({ ...timetableData, allowPartial: true });
         
-        try {
-            await fs.writeFile(
-                path.join(uploadsPath, timetableFile), 
-                JSON.stringify(timetableData_store, null, 2)
-            );
-            console.log(`Timetable saved as: ${timetableFile}`);
-        } catch (saveError) {
-            console.log('Could not save timetable file:', saveError.message);
-        }
-
-        // Return JSON response instead of rendering (for API usage)
         res.json({
             success: true,
             data: {
                 branch,
                 division,
-                year,
-                timetable: parsedTable,
-                generatedAt: new Date().toISOString()
+                ...allocation,
+                overrides: timetableData.facultyOverrides
             }
         });
+    } catch (error) {
+        console.error('Faculty allocation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to allocate faculty.'
+        });
+    }
+});
 
+// GET route for the saved faculty allocation overrides
+app.get('/api/faculty-allocation/overrides', async (req, res) => {
+    try {
+        const allocation = await readAllocationOverrides();
+        res.json({
+            success: true,
+            data: allocation
+        });
     } catch (error) {
-        console.error('Timetable generation error:', error);
+        console.error('Error reading allocation overrides:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'An unknown error occurred during timetable generation.'
+            error: 'Failed to read allocation overrides: ' + error.message
         });
     }
 });
 
-// --- AI and Helper Functions ---
+// PUT route to replace the faculty allocation overrides; they apply to timetables generated from now on
+app.put('/api/faculty-allocation/overrides', async (req, res) => {
+    try {
+        const allocation = normalizeAllocationOverrides(req.body);
+        
+        await fs.writeFile(FACULTY_ALLOCATION_FILE, JSON.stringify(allocation, null, 2));
+        console.log(`Saved ${allocation.overrides.length} faculty allocation overrides`);
+        
+        res.json({
+            success: true,
+            data: allocation
+        });
+    } catch (error) {
+        console.error('Error saving allocation overrides:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to save allocation overrides.'
+        });
+    }
+});
 
-/**
- * Generates a combined timetable for multiple divisions using the Gemini API.
- * @param {object} allData - An object containing combined and tagged data for all divisions.
- * @returns {Promise<string>} - The generated timetable as a Markdown string.
- */
-async function generateTimetableWithGemini(allData) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey || apiKey === 'YOUR_API_KEY_HERE') {
-        throw new Error("GEMINI_API_KEY is not set in the .env file.");
+// GET route for the elective groups: baskets of courses that run in common slots across divisions
+app.get('/api/elective-groups', async (req, res) => {
+    try {
+        const electives = await readElectiveGroups();
+        res.json({
+            success: true,
+            data: electives
+        });
+    } catch (error) {
+        console.error('Error reading elective groups:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read elective groups: ' + error.message
+        });
     }
+});
 
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// PUT route to replace the elective groups; they apply to timetables generated from now on
+app.put('/api/elective-groups', async (req, res) => {
+    try {
+        const electives = normalizeElectiveGroups(req.body);
+        
+        await fs.writeFile(ELECTIVE_GROUPS_FILE, JSON.stringify(electives, null, 2));
+        console.log(`Saved ${electives.groups.length} elective groups`);
+        
+        res.json({
+            success: true,
+            data: electives
+        });
+    } catch (error) {
+        console.error('Error saving elective groups:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Failed to save elective groups.'
+        });
+    }
+});
 
-    // Extract actual data dynamically
-    const theorySubjects = allData.theoryCourses.slice(0, 5).map(c => c['Course name'] || c.Course);
-    const labSubjects = allData.labCourses.slice(0, 5).map(c => c['Course name'] || c.Course);
-    const facultyList = allData.faculty.slice(0, 10);
-    const venueList = allData.venues.slice(0, 10).map(v => v['Room Number'] || v.room);
+// --- AI and Helper Functions ---
 
-    const prompt = `
-        URGENT: Generate a COMPLETE timetable with EXACTLY 30+ entries for ${allData.branch} Division ${allData.division}.
+// Longest wait for an AI provider's answer before generation falls back to the solver
+const AI_TIMEOUT_MS = 60000;
 
-        YOU MUST GENERATE AT LEAST 30 ROWS IN THE TABLE.
+// JSON shape AI providers must answer with: one placement per session
+const AI_RESPONSE_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        sessions: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    id: { type: SchemaType.STRING },
+                    day: { type: SchemaType.STRING },
+                    startPeriod: { type: SchemaType.INTEGER },
+                    faculty: { type: SchemaType.STRING },
+                    venue: { type: SchemaType.STRING }
+                },
+                required: ['id', 'day', 'startPeriod', 'faculty', 'venue']
+            }
+        }
+    },
+    required: ['sessions']
+};
 
-        SUBJECTS TO USE (each theory subject MUST appear 2 times):
-        ${theorySubjects.map((subject, i) => `${i+1}. ${subject} (2 times)`).join('\n')}
+/**
+ * Describes what an AI provider has to place for a division: the teaching days and periods,
+ * the slots reserved for recurring blocks (library, project, ...), and every other session with the faculty
+ * members and venues it may use. Batch names lose their division prefix.
+ * @param {object} allData - Generator input prepared by `loadDivisionData`.
+ * @param {object} plan - `{ sessions, grid, timeSlots }` from `buildDivisionSessions`.
+ * @returns {object}
+ */
+function buildAiRequest(allData, { sessions, grid, timeSlots }) {
+    const toBatches = groups => groups.map(group => group.slice(group.indexOf(':') + 1));
+    return {
+        branch: allData.branch,
+        division: allData.division,
+        days: grid.days.map(day => ({ day, periods: grid.periodsPerDay[day] })),
+        periods: timeSlots.map((slot, index) => ({ period: index + 1, start: slot.start, end: slot.end, block: slot.block })),
+        reserved: sessions.filter(session => session.fixed).map(session => ({
+            day: session.fixed.day,
+            startPeriod: session.fixed.period + 1,
+            batches: toBatches(session.groups),
+            subject: session.subject
+        })),
+        sessions: sessions.filter(session => !session.fixed).map(session => ({
+            id: session.id,
+            type: session.type,
+            course: session.courseName || session.subject,
+            batches: toBatches(session.groups),
+            length: session.length || 1,
+            faculty: session.facultyOptions,
+            venues: session.venueOptions,
+            ...(session.rotationBlock && { rotationBlock: session.rotationBlock.slice(session.rotationBlock.indexOf(':') + 1) }),
+            ...(session.electiveSlot && { electiveSlot: session.electiveSlot })
+        }))
+    };
+}
 
-        LAB SUBJECTS TO USE (each lab subject MUST appear 1 time):
-        ${labSubjects.map((subject, i) => `${i+1}. ${subject} (1 time)`).join('\n')}
+// Instructions sent to a language model along with the request from `buildAiRequest`
+function buildAiPrompt(request) {
+    return [
+        `Create the weekly timetable of ${request.branch} Division ${request.division}.`,
+        'Assign every entry of "sessions" exactly once to a day, a 1-based startPeriod, one of its "faculty" and one of its "venues".',
+        'A session takes periods startPeriod to startPeriod + length - 1 of its day; they must exist in "days" and lie in the same "block" of "periods".',
+        'Sessions that share a batch, faculty member or venue must not overlap. "reserved" slots are already taken for their batches.',
+        'Sessions with the same "rotationBlock" (parallel labs) or "electiveSlot" (courses of an elective basket) must share their day and startPeriod.',
+        'Spread the lectures of a course over different days.',
+        'Answer with JSON only, shaped {"sessions": [{"id", "day", "startPeriod", "faculty", "venue"}]}.',
+        '',
+        JSON.stringify(request)
+    ].join('\n');
+}
 
-        FACULTY TO USE:
-        ${facultyList.map(f => `- ${f.Name} (teaches ${f.Course})`).join('\n')}
+// JSON shape AI providers must answer change requests with: one structured change
+const CHANGE_RESPONSE_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        action: { type: SchemaType.STRING, format: 'enum', enum: CHANGE_ACTIONS },
+        match: {
+            type: SchemaType.OBJECT,
+            properties: {
+                course: { type: SchemaType.STRING },
+                batch: { type: SchemaType.STRING },
+                type: { type: SchemaType.STRING },
+                faculty: { type: SchemaType.STRING },
+                slots: { type: SchemaType.STRING }
+            }
+        },
+        to: {
+            type: SchemaType.OBJECT,
+            properties: {
+                day: { type: SchemaType.STRING },
+                startPeriod: { type: SchemaType.INTEGER }
+            }
+        },
+        avoid: { type: SchemaType.STRING },
+        faculty: { type: SchemaType.STRING },
+        venue: { type: SchemaType.STRING },
+        slots: { type: SchemaType.STRING }
+    },
+    required: ['action']
+};
 
-        VENUES TO USE: ${venueList.join(', ')}
+// Describes a stored timetable for turning an instruction about it into a structured change
+function buildChangeRequest(record, instruction) {
+    const grid = buildSolverGrid(record.dayGrid);
+    return {
+        instruction,
+        branch: record.branch,
+        division: record.division,
+        days: grid.days.map(day => ({ day, periods: grid.periodsPerDay[day] })),
+        periods: record.dayGrid.slots.map((slot, index) => ({ period: index + 1, start: slot.start, end: slot.end, block: slot.block })),
+        sessions: record.sessions.filter(session => session.type !== 'holiday' && !isSharedSession(session)).map(session => ({
+            id: session.id,
+            type: session.type,
+            course: session.courseName,
+            courseCode: session.courseCode,
+            batch: session.batch,
+            day: session.day,
+            startPeriod: session.startPeriod,
+            length: session.length,
+            faculty: session.faculty,
+            venue: session.venue
+        }))
+    };
+}
 
-        TIME SLOTS TO FILL:
-        Monday: 9:00-10:00, 10:00-11:00, 11:00-12:00, 2:00-3:00, 3:00-4:00, 4:00-5:00 (6 slots)
-        Tuesday: 9:00-10:00, 10:00-11:00, 11:00-12:00, 2:00-3:00, 3:00-4:00, 4:00-5:00 (6 slots)
-        Wednesday: 9:00-10:00, 10:00-11:00, 11:00-12:00, 2:00-3:00, 3:00-4:00, 4:00-5:00 (6 slots)
-        Thursday: 9:00-10:00, 10:00-11:00, 11:00-12:00, 2:00-3:00, 3:00-4:00, 4:00-5:00 (6 slots)
-        Friday: 9:00-10:00, 10:00-11:00, 11:00-12:00, 2:00-3:00, 3:00-4:00, 4:00-5:00 (6 slots)
-        Total: 30 slots to fill
+// Instructions sent to a language model along with the request from `buildChangeRequest`
+function buildChangePrompt(request) {
+    return [
+        `A coordinator asks for a change to the timetable of ${request.branch} Division ${request.division}: "${request.instruction}"`,
+        `Turn it into one structured change with an "action" of ${CHANGE_ACTIONS.join(', ')}.`,
+        '- "move": "match" picks the sessions (course, batch, type, faculty, slots); give "to" {day, startPeriod} for a fixed target or "avoid" with the slots they must leave.',
+        '- "reassign": "match" picks the sessions; give the new "faculty" and/or "venue".',
+        '- "faculty-unavailable": give the "faculty" member and the "slots" they cannot teach in.',
+        'Slots are comma-separated like "Mon", "Mon-Wed", "Fri 4-6" or "P1", with 1-based periods from "periods"; mornings and afternoons follow the "block" of each period.',
+        'Use course, batch and faculty names as they appear in "sessions". Answer with JSON only.',
+        '',
+        JSON.stringify(request)
+    ].join('\n');
+}
 
-        EXAMPLE OF WHAT YOU MUST GENERATE:
+// Gemini provider; needs GEMINI_API_KEY and uses `options.model`, GEMINI_MODEL or gemini-2.0-flash
+function createGeminiProvider(options = {}) {
+    const modelName = options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+    const generateJson = async (prompt, responseSchema) => {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey || apiKey === 'YOUR_API_KEY_HERE') {
+            throw new Error('GEMINI_API_KEY is not set in the .env file.');
+        }
+        const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+            model: modelName,
+            generationConfig: { responseMimeType: 'application/json', responseSchema }
+        }, { timeout: AI_TIMEOUT_MS });
+        const result = await model.generateContent(prompt);
+        return result.response.text();
+    };
+    return {
+        name: 'gemini',
+        proposeSessions: request => generateJson(buildAiPrompt(request), AI_RESPONSE_SCHEMA),
+        interpretChange: request => generateJson(buildChangePrompt(request), CHANGE_RESPONSE_SCHEMA)
+    };
+}
 
-        | Day | Time | Class/Batch | Course Name | Faculty | Venue |
-        |-----|------|-------------|-------------|---------|-------|
-        | Monday | 9:00-10:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[0]} | ${facultyList[0]?.Name} | ${venueList[0]} |
-        | Monday | 10:00-11:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[1]} | ${facultyList[1]?.Name} | ${venueList[1]} |
-        | Monday | 11:00-12:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[2]} | ${facultyList[2]?.Name} | ${venueList[2]} |
-        | Monday | 2:00-3:00 | ${allData.branch} Div${allData.division} | ${labSubjects[0]} | ${facultyList[0]?.Name} | ${venueList[3]} |
-        | Monday | 3:00-4:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[3]} | ${facultyList[3]?.Name} | ${venueList[0]} |
-        | Monday | 4:00-5:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[4]} | ${facultyList[4]?.Name} | ${venueList[1]} |
-        | Tuesday | 9:00-10:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[0]} | ${facultyList[0]?.Name} | ${venueList[2]} |
-        | Tuesday | 10:00-11:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[1]} | ${facultyList[1]?.Name} | ${venueList[3]} |
-        | Tuesday | 11:00-12:00 | ${allData.branch} Div${allData.division} | ${labSubjects[1]} | ${facultyList[1]?.Name} | ${venueList[4]} |
-        | Tuesday | 2:00-3:00 | All Batches | LIBRARY SESSION | Library Staff | Library |
-        | Tuesday | 3:00-4:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[2]} | ${facultyList[2]?.Name} | ${venueList[0]} |
-        | Tuesday | 4:00-5:00 | ${allData.branch} Div${allData.division} | ${theorySubjects[3]} | ${facultyList[3]?.Name} | ${venueList[1]} |
+// Slots a phrase such as 'Friday afternoon' or 'Mon and Wed' names, using the long-break blocks for parts of the day
+function phraseToSlots(phrase, periods) {
+    const days = WEEK_DAYS.filter(day => new RegExp(`\\b${day.slice(0, 3)}(${day.slice(3)})?s?\\b`, 'i').test(phrase));
+    const firstBlock = periods[0]?.block;
+    const part = /\bmorning/i.test(phrase)
+        ? periods.filter(slot => slot.block === firstBlock)
+        : /\bafternoon/i.test(phrase) ? periods.filter(slot => slot.block !== firstBlock) : null;
+    const range = part && part.length > 0 ? `${part[0].period}-${part[part.length - 1].period}` : null;
+    
+    if (days.length === 0) return range || phrase;
+    return days.map(day => range ? `${day.slice(0, 3)} ${range}` : day.slice(0, 3)).join(', ');
+}
 
-        CONTINUE THIS PATTERN FOR WEDNESDAY, THURSDAY, AND FRIDAY!
+/**
+ * Rule-based reading of the usual change requests, standing in for a language model offline:
+ * "<faculty> can't teach on <days>", "move <course> [lab] [for batch N] off <days or part of day>",
+ * "move <course> [for batch N] to <day> [period N]" and "assign <faculty> to <course> [for batch N]".
+ */
+function interpretInstructionLocally({ instruction, periods }) {
+    const text = instruction.trim().replace(/[.!]+$/, '');
+    const readSubject = (subject, batch) => ({
+        course: subject.replace(/\b(?:the|lab|lecture|lectures|tutorial|session|sessions)\b/ig, ' ').replace(/\s+/g, ' ').trim(),
+        ...(/\blabs?\b/i.test(subject) && { type: 'lab' }),
+        ...(/\blectures?\b/i.test(subject) && { type: 'theory' }),
+        ...(batch && { batch })
+    });
+    
+    const unavailable = text.match(/^(.+?)\s+(?:can't|cannot|can not|is not available to|is unable to)\s+teach\s+(?:on\s+|in\s+the\s+)?(.+)$/i);
+    if (unavailable) {
+        return { action: 'faculty-unavailable', faculty: unavailable[1].trim(), slots: phraseToSlots(unavailable[2], periods) };
+    }
+    
+    const move = text.match(/^move\s+(.+?)(?:\s+(?:for|of)\s+batch\s+(\S+))?\s+(off|to)\s+(.+)$/i);
+    if (move && move[3].toLowerCase() === 'off') {
+        const slots = phraseToSlots(move[4], periods);
+        return { action: 'move', match: { ...readSubject(move[1], move[2]), slots }, avoid: slots };
+    }
+    const target = move && move[4].match(/^(\w+)(?:\s+(?:period|p)\s*(\d+))?$/i);
+    if (target) {
+        return { action: 'move', match: readSubject(move[1], move[2]), to: { day: target[1], ...(target[2] && { startPeriod: Number(target[2]) }) } };
+    }
+    
+    const assign = text.match(/^(?:assign|give)\s+(.+?)\s+to\s+(.+?)(?:\s+(?:for|of)\s+batch\s+(\S+))?$/i);
+    if (assign) {
+        return { action: 'reassign', match: readSubject(assign[2], assign[3]), faculty: assign[1].trim() };
+    }
+    return { action: null };
+}
 
-        CRITICAL REQUIREMENTS:
-        1. Generate EXACTLY 30+ rows (6 per day × 5 days)
-        2. Fill ALL time slots, not just first slot of each day
-        3. Each theory subject appears exactly 2 times total
-        4. Each lab subject appears exactly 1 time total
-        5. Add 2 Library sessions and 2 Project sessions
-        6. Do NOT leave most slots empty
+/**
+ * Offline provider for development and tests. It places sessions first-fit with their first
+ * faculty member and venue, and reads instructions with `interpretInstructionLocally`.
+ * `options.mode` (or AI_MOCK_MODE) 'naive' ignores faculty and venue clashes so the answer
+ * needs repair; 'broken' answers with text that is not JSON.
+ */
+function createMockProvider(options = {}) {
+    const mode = options.mode || process.env.AI_MOCK_MODE || 'first-fit';
+    return {
+        name: 'mock',
+        async proposeSessions(request) {
+            if (mode === 'broken') {
+                return '| Day | Time | Class/Batch | Course Name | Faculty | Venue |';
+            }
+            const taken = new Set();
+            request.reserved.forEach(slot => slot.batches.forEach(batch => taken.add(`batch|${batch}|${slot.day}|${slot.startPeriod}`)));
+            
+            const placements = request.sessions.map(session => {
+                for (const { day, periods } of request.days) {
+                    for (let start = 1; start + session.length - 1 <= periods; start++) {
+                        const end = start + session.length - 1;
+                        if (request.periods[start - 1].block !== request.periods[end - 1].block) continue;
+                        const keys = [];
+                        for (let period = start; period <= end; period++) {
+                            session.batches.forEach(batch => keys.push(`batch|${batch}|${day}|${period}`));
+                            if (mode !== 'naive') {
+                                keys.push(`faculty|${session.faculty[0]}|${day}|${period}`, `venue|${session.venues[0]}|${day}|${period}`);
+                            }
+                        }
+                        if (keys.some(key => taken.has(key))) continue;
+                        keys.forEach(key => taken.add(key));
+                        return { id: session.id, day, startPeriod: start, faculty: session.faculty[0], venue: session.venues[0] };
+                    }
+                }
+                return null;
+            });
+            return JSON.stringify({ sessions: placements.filter(Boolean) });
+        },
+        async interpretChange(request) {
+            if (mode === 'broken') {
+                return 'Sure, I have moved that session for you.';
+            }
+            return JSON.stringify(interpretInstructionLocally(request));
+        }
+    };
+}
 
-        START GENERATING THE COMPLETE TABLE NOW:
-    `;
+/**
+ * Providers that can propose a timetable, by the name a generation request uses. A provider
+ * is `{ name, proposeSessions(request), interpretChange(request) }`: `proposeSessions` receives
+ * the request from `buildAiRequest` and `interpretChange` the one from `buildChangeRequest`.
+ * Both resolve to the model's raw JSON text, which is checked before anything is used.
+ */
+const AI_PROVIDERS = {
+    gemini: createGeminiProvider,
+    mock: createMockProvider
+};
 
+/**
+ * Reads an AI provider's answer and checks every placement against the session it is for:
+ * a known id placed once, a day and start period of the grid, no run across a long break,
+ * and a faculty member and venue the session may use.
+ * @param {string} text - Raw answer of the provider.
+ * @param {object[]} sessions - Sessions from `buildDivisionSessions`.
+ * @param {object} grid - Solver grid.
+ * @returns {{proposed: number, accepted: Map<string, object>, problems: string[]}} - Accepted
+ *   placements are solver values `{ day, period, faculty, venue }` by session id.
+ */
+function checkAiProposals(text, sessions, grid) {
+    let answer;
     try {
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const generatedText = response.text();
-        
-        // Count actual rows generated
-        const tableRows = generatedText.split('\n').filter(line => 
-            line.includes('|') && !line.includes('---') && !line.includes('Day')
-        );
-        
-        console.log(`Generated ${tableRows.length} actual table rows`);
-        console.log('Generated text length:', generatedText.length);
-        
-        if (tableRows.length < 15) {
-            console.warn('WARNING: Generated too few rows, will use fallback');
-        }
-        
-        return generatedText;
-    } catch (error) {
-        console.error("Error calling Gemini API:", error);
-        throw new Error("Failed to get a response from the AI model.");
+        answer = JSON.parse(String(text).replace(/^\s*```(?:json)?|```\s*$/g, ''));
+    } catch (parseError) {
+        throw new Error(`The AI answer is not valid JSON: ${parseError.message}`);
     }
+    const proposals = Array.isArray(answer) ? answer : answer?.sessions;
+    if (!Array.isArray(proposals)) {
+        throw new Error('The AI answer has no "sessions" list.');
+    }
+    
+    const sessionsById = new Map(sessions.filter(session => !session.fixed).map(session => [session.id, session]));
+    const accepted = new Map();
+    const problems = [];
+    
+    const findProblem = (proposal, session, day, period) => {
+        const length = session.length || 1;
+        if (accepted.has(session.id)) return 'placed more than once';
+        if (!day || !grid.days.includes(day)) return `unknown day "${proposal.day}"`;
+        if (!Number.isInteger(period) || period < 0 || period + length > grid.periodsPerDay[day]) {
+            return `start period ${proposal.startPeriod} does not fit on ${day}`;
+        }
+        if (grid.blockOf && grid.blockOf[period] !== grid.blockOf[period + length - 1]) return 'runs across a long break';
+        if (!session.facultyOptions.includes(proposal.faculty)) return `${proposal.faculty} does not teach it`;
+        if (!session.venueOptions.includes(proposal.venue)) return `venue ${proposal.venue} does not suit it`;
+        return null;
+    };
+    
+    proposals.forEach((proposal, index) => {
+        const session = sessionsById.get(proposal?.id);
+        if (!session) {
+            problems.push(`${proposal?.id ?? `Entry ${index + 1}`}: unknown session id`);
+            return;
+        }
+        const day = proposal.day ? parseDayName(proposal.day) : null;
+        const period = Number(proposal.startPeriod) - 1;
+        const problem = findProblem(proposal, session, day, period);
+        if (problem) {
+            problems.push(`${session.id}: ${problem}`);
+        } else {
+            accepted.set(session.id, { day, period, faculty: proposal.faculty, venue: proposal.venue });
+        }
+    });
+    
+    return { proposed: proposals.length, accepted, problems };
 }
 
+// Most problems of an AI answer listed in the generation report
+const MAX_REPORTED_AI_PROBLEMS = 50;
 
 /**
- * Parses a Markdown table string into a structured object, ensuring all rows have a consistent number of columns.
- * @param {string} markdown - The Markdown table string.
- * @returns {{headers: string[], rows: string[][]}} - An object with headers and rows.
+ * Generates a division's timetable from an AI provider's proposal. Valid placements are
+ * conflict-checked and become the solver's preferred slots, so a clash-free proposal is kept
+ * as it is and a faulty one is repaired with as few moves as possible. When the provider fails
+ * or places nothing validly, the solver generates the timetable on its own.
+ * @param {object} allData - Generator input prepared by `loadDivisionData`.
+ * @param {object} provider - Provider from `AI_PROVIDERS`.
+ * @returns {Promise<object>} - As `generateReliableTimetable`, plus `generatedBy` ('ai',
+ *   'ai-repaired' or 'solver-fallback') and the `ai` report.
  */
-function parseMarkdownTable(markdown) {
-    if (!markdown) return { headers: [], rows: [] };
-
-    // Filter out lines that don't look like table rows (must contain '|') or are the markdown separator '---'
-    const lines = markdown.trim().split('\n').filter(line => line.includes('|') && !line.includes('---'));
+async function generateTimetableWithAi(allData, provider) {
+    console.log(`🤖 Asking the ${provider.name} provider for a timetable...`);
+    const plan = buildDivisionSessions(allData);
+    const report = {
+        provider: provider.name,
+        requested: plan.sessions.filter(session => !session.fixed).length,
+        proposed: 0,
+        accepted: 0,
+        clashes: 0,
+        kept: 0,
+        problems: []
+    };
     
-    if (lines.length < 1) return { headers: [], rows: [] };
-
-    // The first line is always the header. Get column names and the required number of columns.
-    const headers = lines[0].split('|').slice(1, -1).map(h => h.trim()).filter(Boolean);
-    const numColumns = headers.length;
+    let accepted = new Map();
+    try {
+        const checked = checkAiProposals(await provider.proposeSessions(buildAiRequest(allData, plan)), plan.sessions, plan.grid);
+        accepted = checked.accepted;
+        report.proposed = checked.proposed;
+        report.problems = checked.problems.slice(0, MAX_REPORTED_AI_PROBLEMS);
+        if (checked.problems.length > MAX_REPORTED_AI_PROBLEMS) report.problemCount = checked.problems.length;
+    } catch (error) {
+        report.reason = error.message;
+    }
+    report.accepted = accepted.size;
     
-    // Process the rest of the lines as data rows
-    let rows = lines.slice(1).map(line => 
-        line.split('|').slice(1, -1).map(cell => cell.trim())
-    );
-
-    // Filter out any leftover separator-like rows (e.g., a row of '-----------')
-    rows = rows.filter(row => row.some(cell => !cell.startsWith('---')));
-
-    // CRITICAL FIX: Ensure every row has the same number of columns as the header.
-    // Pad any short rows with empty strings. This prevents a broken table layout.
-    const consistentRows = rows.map(row => {
-        const newRow = [...row];
-        while (newRow.length < numColumns) {
-            newRow.push(''); // Add empty cells to match header count
-        }
-        // Also handle rows that might be too long, though less common
-        return newRow.slice(0, numColumns);
+    // Conflict check of the proposal as given, together with the reserved recurring blocks
+    const proposedPlacements = plan.sessions
+        .filter(session => session.fixed || accepted.has(session.id))
+        .map(session => ({
+            ...session,
+            ...(session.fixed
+                ? { ...session.fixed, faculty: session.facultyOptions[0], venue: session.venueOptions[0] }
+                : accepted.get(session.id)),
+            length: session.length || 1
+        }));
+    report.clashes = detectClashes(proposedPlacements).length;
+    console.log(`   Proposal: ${report.accepted}/${report.requested} sessions valid, ${report.problems.length} problems, ${report.clashes} clashes`);
+    
+    if (accepted.size === 0) {
+        report.reason = report.reason || 'The answer placed no session validly.';
+        console.log(`⚠️ Falling back to the solver: ${report.reason}`);
+        return { ...solveDivisionPlan(allData, plan), generatedBy: 'solver-fallback', ai: report };
+    }
+    
+    plan.sessions.forEach(session => {
+        const value = accepted.get(session.id);
+        if (value) preferSlot(session, { day: value.day, period: value.period }, value.faculty, value.venue);
     });
+    const generated = solveDivisionPlan(allData, plan);
+    report.kept = generated.sessions.filter(session => {
+        const value = accepted.get(session.id);
+        return value && value.day === session.day && value.period === session.startPeriod - 1 &&
+            value.faculty === session.faculty && value.venue === session.venue;
+    }).length;
+    
+    const generatedBy = report.kept === report.requested && report.problems.length === 0 ? 'ai' : 'ai-repaired';
+    console.log(`✅ ${generatedBy === 'ai' ? 'Kept the AI proposal as it is' : `Repaired the AI proposal, kept ${report.kept}/${report.requested} sessions`}`);
+    return { ...generated, generatedBy, ai: report };
+}
 
-    return { headers, rows: consistentRows };
+/**
+ * Has an AI provider turn a coordinator's instruction about a stored timetable into a
+ * structured change. A provider that fails is a 502; an answer that is no usable change is a 422.
+ * @param {object} record - Structured timetable the instruction is about.
+ * @param {string} instruction - The coordinator's words.
+ * @param {object} provider - Provider from `AI_PROVIDERS`.
+ * @returns {Promise<object>} - The change from `normalizeChange`.
+ */
+async function interpretChangeRequest(record, instruction, provider) {
+    let text;
+    try {
+        text = await provider.interpretChange(buildChangeRequest(record, instruction));
+    } catch (error) {
+        throw createHttpError(502, `The ${provider.name} provider could not interpret the instruction: ${error.message}`);
+    }
+    
+    let answer;
+    try {
+        answer = JSON.parse(String(text).replace(/^\s*```(?:json)?|```\s*$/g, ''));
+    } catch (parseError) {
+        throw createHttpError(422, 'The provider did not answer with JSON.', { answer: String(text).slice(0, 500) });
+    }
+    try {
+        return normalizeChange(answer);
+    } catch (error) {
+        throw createHttpError(422, `Could not turn the instruction into a change: ${error.message}`, { interpretation: answer });
+    }
 }
 
 // --- Error Handling Middleware ---
@@ -1292,7 +7004,12 @@ app.use((error, req, res, next) => {
 });
 
 // --- Server Start ---
-app.listen(port, () => {
-    console.log(`Server is running at http://localhost:${port}`);
-    console.log(`Uploads directory: ${uploadsDir}`);
-});
\ No newline at end of file
+// Generation job workers load this module too; they run their job instead of serving
+if (isMainThread) {
+    app.listen(port, () => {
+        console.log(`Server is running at http://localhost:${port}`);
+        console.log(`Uploads directory: ${uploadsDir}`);
+    });
+} else {
+    runGenerationJob(workerData.body);
+}
\ No newline at end of file